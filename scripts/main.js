@@ -47,12 +47,19 @@ class Vector2 {
         return new Vector2(-this.y, this.x);
     }
 
+    // Counterclockwise rotation by an angle in radians
+    rotateBy(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return new Vector2(cos * this.x - sin * this.y, sin * this.x + cos * this.y);
+    }
+
     normalize() {
         return this.scale(1.0 / norm2(this));
     }
 
-    prod_vector(other) {
-        return new GeometricProduct(this.dot(other), this.wedge(other));
+    toMultivector() {
+        return Multivector2.vector(this);
     }
 }
 
@@ -73,1435 +80,6544 @@ function normInf(v) {
     return Math.max(Math.abs(v.x), Math.abs(v.y));
 }
 
-class GeometricProduct {
-    constructor(dot, wedge) {
-        this.dot = dot;
-        this.wedge = wedge;
+/**
+ * Element of the geometric algebra of R^2 with basis {1, e1, e2, e12}.
+ * The pseudoscalar e12 is also referred to as I and squares to -1.
+ */
+class Multivector2 {
+    constructor(s = 0, e1 = 0, e2 = 0, e12 = 0) {
+        this.s = s;
+        this.e1 = e1;
+        this.e2 = e2;
+        this.e12 = e12;
     }
 
-    /**
-     * Returns the geometric product (this vector).
-     * @param {Vector2} vector
-     * @returns {Vector2}
-     */
-    prod_vector(vector) {
-        return vector.scale(this.dot).sub(vector.rotate().scale(this.wedge));
+    static scalar(s) {
+        return new Multivector2(s, 0, 0, 0);
     }
-}
 
-class VectorState {
-    constructor(A = new Vector2(2, 1), B = new Vector2(-1, 1), C = new Vector2(-1, 0)) {
-        this.A = A;
-        this.B = B;
-        this.C = C;
+    static vector(v) {
+        return new Multivector2(0, v.x, v.y, 0);
+    }
+
+    static bivector(b) {
+        return new Multivector2(0, 0, 0, b);
     }
 
-    // Create a deep copy of the current state
     clone() {
-        return new VectorState(
-            this.A.clone(),
-            this.B.clone(),
-            this.C.clone()
-        );
+        return new Multivector2(this.s, this.e1, this.e2, this.e12);
     }
 
-    // Check if two states are equal
     equals(other) {
         if (!other) return false;
 
-        return (
-            this.A.equals(other.A) &&
-            this.B.equals(other.B) &&
-            this.C.equals(other.C)
-        );
+        return Math.abs(this.s - other.s) < 0.001 &&
+            Math.abs(this.e1 - other.e1) < 0.001 &&
+            Math.abs(this.e2 - other.e2) < 0.001 &&
+            Math.abs(this.e12 - other.e12) < 0.001;
     }
-}
 
-class VectorVisualizerState {
-    constructor(vector = new VectorState(), visibility = null) {
-        this.vector = vector;
-        this.visibility = visibility || {
-            a: true,
-            b: true,
-            c: true,
-            brot: true,
-            dot: true,
-            wedge: true,
-            prodABC: true,
-            prodCAB: true
-        };
+    add(other) {
+        return new Multivector2(this.s + other.s, this.e1 + other.e1, this.e2 + other.e2, this.e12 + other.e12);
     }
 
-    // Create a deep copy of the current state
-    clone() {
-        return new VectorVisualizerState(
-            this.vector.clone(),
-            { ...this.visibility }
+    sub(other) {
+        return new Multivector2(this.s - other.s, this.e1 - other.e1, this.e2 - other.e2, this.e12 - other.e12);
+    }
+
+    scale(scalar) {
+        return new Multivector2(this.s * scalar, this.e1 * scalar, this.e2 * scalar, this.e12 * scalar);
+    }
+
+    neg() {
+        return this.scale(-1);
+    }
+
+    /**
+     * Returns the geometric product (this other).
+     * @param {Multivector2} other
+     * @returns {Multivector2}
+     */
+    mul(other) {
+        const a = this, b = other;
+        return new Multivector2(
+            a.s * b.s + a.e1 * b.e1 + a.e2 * b.e2 - a.e12 * b.e12,
+            a.s * b.e1 + a.e1 * b.s - a.e2 * b.e12 + a.e12 * b.e2,
+            a.s * b.e2 + a.e2 * b.s + a.e1 * b.e12 - a.e12 * b.e1,
+            a.s * b.e12 + a.e12 * b.s + a.e1 * b.e2 - a.e2 * b.e1
         );
     }
 
-    // Check if two states are equal
-    equals(other) {
-        if (!other) return false;
+    /**
+     * Returns the outer product (this ∧ other).
+     * @param {Multivector2} other
+     * @returns {Multivector2}
+     */
+    wedge(other) {
+        const a = this, b = other;
+        return new Multivector2(
+            a.s * b.s,
+            a.s * b.e1 + a.e1 * b.s,
+            a.s * b.e2 + a.e2 * b.s,
+            a.s * b.e12 + a.e12 * b.s + a.e1 * b.e2 - a.e2 * b.e1
+        );
+    }
 
-        return (
-            this.vector.equals(other.vector) &&
-            JSON.stringify(this.visibility) === JSON.stringify(other.visibility)
+    /**
+     * Returns the left contraction (this ⌋ other), which lowers the grade of other by the grade of this.
+     * For two vectors this is the dot product.
+     * @param {Multivector2} other
+     * @returns {Multivector2}
+     */
+    leftContract(other) {
+        const a = this, b = other;
+        return new Multivector2(
+            a.s * b.s + a.e1 * b.e1 + a.e2 * b.e2 - a.e12 * b.e12,
+            a.s * b.e1 - a.e2 * b.e12,
+            a.s * b.e2 + a.e1 * b.e12,
+            a.s * b.e12
         );
     }
-}
 
-class VectorVisualizer {
-    constructor() {
-        this.scene = null;
-        this.camera = null;
-        this.renderer = null;
-        this.canvas = null;
-        this.needsRender = true;
+    /**
+     * Returns the right contraction (this ⌊ other), which lowers the grade of this by the grade of other.
+     * @param {Multivector2} other
+     * @returns {Multivector2}
+     */
+    rightContract(other) {
+        const a = this, b = other;
+        return new Multivector2(
+            a.s * b.s + a.e1 * b.e1 + a.e2 * b.e2 - a.e12 * b.e12,
+            a.e1 * b.s + a.e12 * b.e2,
+            a.e2 * b.s - a.e12 * b.e1,
+            a.e12 * b.s
+        );
+    }
 
-        // State
-        this.state = new VectorVisualizerState();
+    /**
+     * Returns the scalar product, the grade 0 part of (this other).
+     * @param {Multivector2} other
+     * @returns {number}
+     */
+    scalarProd(other) {
+        return this.s * other.s + this.e1 * other.e1 + this.e2 * other.e2 - this.e12 * other.e12;
+    }
 
-        // Three.js objects
-        this.vectorAMesh = null;
-        this.vectorBMesh = null;
-        this.vectorCMesh = null;
-        this.vectorBRotMesh = null;
-        this.dotMesh = null; // Parallelogram spanned by A and B rotated by 90° CCW
-        this.wedgeMesh = null; // Parallelogram spanned by A and B
-        this.vectorADashedMeshWedge = null; // A vector from tip of B to tip of Sum
-        this.vectorADashedMeshDot = null;
-        this.vectorBDashedMesh = null; // B vector from tip of A to tip of Sum
-        this.vectorBRotDashedMesh = null;
-        this.vectorProdABCMesh = null;
-        this.vectorProdCABMesh = null;
-        this.gridMesh = null;
-        this.axesMesh = null;
-        this.unitCircleMesh = null;
+    reverse() {
+        return new Multivector2(this.s, this.e1, this.e2, -this.e12);
+    }
 
-        // Interaction
-        this.raycaster = new THREE.Raycaster();
-        this.mouse = new THREE.Vector2();
-        this.isDragging = false;
-        this.dragTarget = null;
-        this.dragOffset = new THREE.Vector2();
+    gradeInvolution() {
+        return new Multivector2(this.s, -this.e1, -this.e2, this.e12);
+    }
 
-        // Camera
-        this.MIN_DISTANCE = 0.5;
-        this.MAX_DISTANCE = 100;
-        this.DEFAULT_DISTANCE = 10;
-        this.ZOOM_SENSITIVITY = 0.1;
-        this.cameraDistance = this.DEFAULT_DISTANCE;
-        this.cameraRotationY = 0;      // left/right rotation
-        this.cameraRotationX = 0;  // up/down rotation
-        this.isDraggingCanvas = false;
-        this.lastMousePosition = new THREE.Vector2();
+    conjugate() {
+        return new Multivector2(this.s, -this.e1, -this.e2, -this.e12);
+    }
 
-        // History
-        this.undoHistory = [];
-        this.redoHistory = [];
-        this.maxHistorySize = 50;
-        this.lastSavedState = null;
+    /**
+     * Returns the part of grade k.
+     * @param {number} k 0 (scalar), 1 (vector) or 2 (bivector)
+     * @returns {Multivector2}
+     */
+    grade(k) {
+        switch (k) {
+            case 0: return new Multivector2(this.s, 0, 0, 0);
+            case 1: return new Multivector2(0, this.e1, this.e2, 0);
+            case 2: return new Multivector2(0, 0, 0, this.e12);
+            default: return new Multivector2();
+        }
+    }
 
-        // Scroll tracking
-        this.previousScrollPosition = 0;
-        this.isScrollingToCanvas = false;
-        this.returnButton = null;
+    /**
+     * Returns the inverse with respect to the geometric product.
+     * Uses that (this conjugate) is the scalar s² - e1² - e2² + e12².
+     * @returns {Multivector2}
+     */
+    inverse() {
+        const det = this.s * this.s - this.e1 * this.e1 - this.e2 * this.e2 + this.e12 * this.e12;
+        if (Math.abs(det) < 1e-12) {
+            throw new Error('Multivector is not invertible');
+        }
 
-        this.init();
+        return this.conjugate().scale(1.0 / det);
     }
 
-    init() {
-        this.setupThreeJS();
-        this.createScene();
-        this.setupEventListeners();
-        this.updateVectors();
+    /**
+     * Returns the exponential using a Taylor series with scaling and squaring.
+     * @returns {Multivector2}
+     * @throws {ExpressionError} if the norm is not finite, as for exp(1e400) or exp(exp(1000)),
+     *   which would take endless squarings
+     */
+    exp() {
+        if (!Number.isFinite(this.norm())) {
+            throw new ExpressionError('The argument of exp is too large or undefined');
+        }
 
-        this.returnButton = document.getElementById('return-button');
+        const squarings = Math.max(0, Math.ceil(Math.log2(this.norm() / 0.5)));
+        const x = this.scale(1.0 / Math.pow(2, squarings));
 
-        // Ensure proper sizing after layout is complete
-        requestAnimationFrame(() => {
-            this.updateCanvasSize();
-        });
+        let result = Multivector2.scalar(1);
+        let term = Multivector2.scalar(1);
+        for (let n = 1; n <= 20; n++) {
+            term = term.mul(x).scale(1.0 / n);
+            result = result.add(term);
+        }
 
-        this.animate();
+        for (let i = 0; i < squarings; i++) {
+            result = result.mul(result);
+        }
+
+        return result;
     }
 
-    getCSSColor(cssVariable) {
-        // Get the CSS variable value from the document root
-        const cssValue = getComputedStyle(document.documentElement)
-            .getPropertyValue(cssVariable)
-            .trim();
+    norm() {
+        return Math.sqrt(this.s * this.s + this.e1 * this.e1 + this.e2 * this.e2 + this.e12 * this.e12);
+    }
 
-        // Convert CSS color to hex format for Three.js
-        // Create a temporary element to get the computed color
-        const tempElement = document.createElement('div');
-        tempElement.style.color = cssValue;
-        document.body.appendChild(tempElement);
+    isScalar() {
+        return Math.abs(this.e1) < 1e-12 && Math.abs(this.e2) < 1e-12 && Math.abs(this.e12) < 1e-12;
+    }
 
-        const computedColor = getComputedStyle(tempElement).color;
-        document.body.removeChild(tempElement);
+    isVector() {
+        return Math.abs(this.s) < 1e-12 && Math.abs(this.e12) < 1e-12;
+    }
 
-        // Convert rgb(r, g, b) to hex
-        const rgbRegex = /rgb\((\d+),\s*(\d+),\s*(\d+)\)/;
-        const rgbMatch = rgbRegex.exec(computedColor);
-        if (rgbMatch) {
-            const r = parseInt(rgbMatch[1]);
-            const g = parseInt(rgbMatch[2]);
-            const b = parseInt(rgbMatch[3]);
-            return (r << 16) | (g << 8) | b;
+    toVector() {
+        return new Vector2(this.e1, this.e2);
+    }
+}
+
+/**
+ * Returns the geometric product of all factors from left to right.
+ * @param {...Vector2} vectors
+ * @returns {Multivector2}
+ */
+function geometricProduct(...vectors) {
+    return vectors.reduce((product, vector) => product.mul(vector.toMultivector()), Multivector2.scalar(1));
+}
+
+class ExpressionError extends Error {
+    constructor(message, position = null) {
+        super(position === null ? message : `${message} (at position ${position + 1})`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+const EXPRESSION_CONSTANTS = {
+    pi: Multivector2.scalar(Math.PI),
+    I: Multivector2.bivector(1),
+    e1: new Multivector2(0, 1, 0, 0),
+    e2: new Multivector2(0, 0, 1, 0),
+    e12: Multivector2.bivector(1)
+};
+
+function requireScalar(name, value) {
+    if (!value.isScalar()) {
+        throw new ExpressionError(`${name} expects a scalar argument`);
+    }
+    return value.s;
+}
+
+const EXPRESSION_FUNCTIONS = {
+    exp: { arity: 1, apply: (x) => x.exp() },
+    sqrt: { arity: 1, apply: (x) => Multivector2.scalar(Math.sqrt(requireScalar('sqrt', x))) },
+    sin: { arity: 1, apply: (x) => Multivector2.scalar(Math.sin(requireScalar('sin', x))) },
+    cos: { arity: 1, apply: (x) => Multivector2.scalar(Math.cos(requireScalar('cos', x))) },
+    tan: { arity: 1, apply: (x) => Multivector2.scalar(Math.tan(requireScalar('tan', x))) },
+    atan2: { arity: 2, apply: (y, x) => Multivector2.scalar(Math.atan2(requireScalar('atan2', y), requireScalar('atan2', x))) },
+    norm: { arity: 1, apply: (x) => Multivector2.scalar(x.norm()) },
+    inv: {
+        arity: 1, apply: (x) => {
+            try {
+                return x.inverse();
+            } catch (error) {
+                throw new ExpressionError(error.message);
+            }
         }
+    },
+    rev: { arity: 1, apply: (x) => x.reverse() },
+    conj: { arity: 1, apply: (x) => x.conjugate() },
+    involute: { arity: 1, apply: (x) => x.gradeInvolution() },
+    grade: { arity: 2, apply: (x, k) => x.grade(requireScalar('grade', k)) },
+    scalar: { arity: 2, apply: (x, y) => Multivector2.scalar(x.scalarProd(y)) }
+};
 
-        // Fallback to a default color if parsing fails
-        return 0xff0000; // Red as fallback
+/**
+ * Recursive descent parser for geometric algebra expressions.
+ *
+ * Precedence from lowest to highest:
+ *   + -            addition, subtraction
+ *   * /            geometric product, multiplication with the inverse
+ *   ^ . << >>      outer product, inner product (left contraction), left and right contraction
+ *   - +            unary sign
+ *   ~              reverse (postfix)
+ */
+class ExpressionParser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = this.tokenize(source);
+        this.index = 0;
     }
 
-    setupThreeJS() {
-        this.canvas = document.getElementById('threejs-canvas');
+    /**
+     * Numbers may start or end with a decimal point and have an exponent, as in .5, 2. and 1e-3.
+     * A point is the inner product instead where it stands between two operands, as in a.b, a.5 and 2.b.
+     * So 1.e3 is not a number, 2.e1 is the inner product of 2 and the basis vector e1.
+     * @param {string} source
+     */
+    tokenize(source) {
+        const tokens = [];
+        const tokenRegex = /\s*(?:((?:\d+\.\d+|\d+\.(?!\s*[\w(])|(?<![\w)~]\s*)\.\d+|\d+)(?:[eE][+\-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(<<|>>|[+\-*/^.~(),]))/y;
+
+        let position = 0;
+        while (position < source.length) {
+            if (/^\s*$/.test(source.slice(position))) break;
+
+            tokenRegex.lastIndex = position;
+            const match = tokenRegex.exec(source);
+            if (!match) {
+                const offset = position + (source.slice(position).length - source.slice(position).trimStart().length);
+                throw new ExpressionError(`Unexpected character '${source[offset]}'`, offset);
+            }
 
-        // Scene
-        this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(this.getCSSColor('--color-surface'));
+            const start = match.index + match[0].length - (match[1] ?? match[2] ?? match[3]).length;
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(match[1]), position: start });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'identifier', value: match[2], position: start });
+            } else {
+                tokens.push({ type: 'operator', value: match[3], position: start });
+            }
+            position = tokenRegex.lastIndex;
+        }
 
-        const container = document.querySelector('.canvas-container');
-        const width = container.clientWidth;
-        const height = container.clientHeight;
-        const aspect = width / height;
+        tokens.push({ type: 'end', value: null, position: source.length });
+        return tokens;
+    }
 
-        // Camera
-        const fov = 75; // in degrees
-        this.camera = new THREE.PerspectiveCamera(
-            fov,
-            aspect,
-            0.1,
-            1000
-        );
+    peek() {
+        return this.tokens[this.index];
+    }
 
-        this.updateCameraPosition();
+    next() {
+        return this.tokens[this.index++];
+    }
 
-        // Renderer
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: this.canvas,
-            antialias: true,
-            alpha: true
-        });
+    accept(value) {
+        if (this.peek().type === 'operator' && this.peek().value === value) {
+            return this.next();
+        }
+        return null;
+    }
 
-        // Set initial size
-        this.updateCanvasSize();
-        this.renderer.setPixelRatio(window.devicePixelRatio);
+    expect(value) {
+        const token = this.accept(value);
+        if (!token) {
+            throw new ExpressionError(`Expected '${value}'`, this.peek().position);
+        }
+        return token;
+    }
 
-        this.needsRender = true;
+    parse() {
+        if (this.peek().type === 'end') {
+            throw new ExpressionError('Expression is empty');
+        }
+
+        const node = this.parseSum();
+        if (this.peek().type !== 'end') {
+            throw new ExpressionError(`Unexpected '${this.peek().value}'`, this.peek().position);
+        }
+        return node;
     }
 
-    createScene() {
-        this.createGrid();
-        this.createUnitCircle();
-        this.createAxes();
-        this.createVectors();
-        this.updateMeshVisibility();
+    parseSum() {
+        let node = this.parseProduct();
+        let token;
+        while ((token = this.accept('+') || this.accept('-'))) {
+            node = { type: 'binary', operator: token.value, left: node, right: this.parseProduct() };
+        }
+        return node;
     }
 
-    createGrid() {
-        const gridSize = 2 * Math.ceil((2 / 3) * this.MAX_DISTANCE);
-        const divisions = gridSize;
+    parseProduct() {
+        let node = this.parseOuter();
+        let token;
+        while ((token = this.accept('*') || this.accept('/'))) {
+            node = { type: 'binary', operator: token.value, left: node, right: this.parseOuter() };
+        }
+        return node;
+    }
 
-        const grid = new THREE.GridHelper(gridSize, divisions, 0x334155, 0x1e293b);
-        grid.rotation.x = Math.PI / 2;
-        this.gridMesh = grid;
-        this.scene.add(grid);
+    parseOuter() {
+        let node = this.parseUnary();
+        let token;
+        while ((token = this.accept('^') || this.accept('.') || this.accept('<<') || this.accept('>>'))) {
+            node = { type: 'binary', operator: token.value, left: node, right: this.parseUnary() };
+        }
+        return node;
     }
 
-    createUnitCircle() {
-        const geometry = new THREE.RingGeometry(0.99, 1.01, 64);
-        const material = new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide });
-        this.unitCircleMesh = new THREE.Mesh(geometry, material);
-        this.scene.add(this.unitCircleMesh);
+    parseUnary() {
+        if (this.accept('-')) {
+            return { type: 'negate', operand: this.parseUnary() };
+        }
+        if (this.accept('+')) {
+            return this.parseUnary();
+        }
+        return this.parsePostfix();
+    }
 
-        this.unitCircleMesh.visible = false;
+    parsePostfix() {
+        let node = this.parsePrimary();
+        while (this.accept('~')) {
+            node = { type: 'reverse', operand: node };
+        }
+        return node;
     }
 
-    createAxes() {
-        const axesGroup = new THREE.Group();
+    parsePrimary() {
+        const token = this.next();
 
-        const axesLength = Math.ceil((2 / 3) * this.MAX_DISTANCE);
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
 
-        // X-axis (red)
-        const xGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(-axesLength, 0, 0),
-            new THREE.Vector3(axesLength, 0, 0)
+        if (token.type === 'identifier') {
+            if (this.accept('(')) {
+                const args = [];
+                if (!this.accept(')')) {
+                    do {
+                        args.push(this.parseSum());
+                    } while (this.accept(','));
+                    this.expect(')');
+                }
+                return { type: 'call', name: token.value, args: args, position: token.position };
+            }
+            return { type: 'identifier', name: token.value, position: token.position };
+        }
+
+        if (token.type === 'operator' && token.value === '(') {
+            const node = this.parseSum();
+            this.expect(')');
+            return node;
+        }
+
+        if (token.type === 'end') {
+            throw new ExpressionError('Unexpected end of expression', token.position);
+        }
+        throw new ExpressionError(`Unexpected '${token.value}'`, token.position);
+    }
+}
+
+/**
+ * A parsed geometric algebra expression that can be evaluated against named variables.
+ */
+class Expression {
+    constructor(source) {
+        this.source = source;
+        this.ast = new ExpressionParser(source).parse();
+    }
+
+    /**
+     * @param {Object<string, Multivector2|Vector2|number>} variables
+     * @returns {Multivector2}
+     * @throws {ExpressionError} also if a component of the result overflows or is not a number, as for exp(1000)
+     */
+    evaluate(variables = {}) {
+        const result = this.evaluateNode(this.ast, variables);
+        if (![result.s, result.e1, result.e2, result.e12].every(Number.isFinite)) {
+            throw new ExpressionError('The result is too large or undefined');
+        }
+        return result;
+    }
+
+    evaluateNode(node, variables) {
+        switch (node.type) {
+            case 'number':
+                return Multivector2.scalar(node.value);
+            case 'identifier':
+                return this.resolveIdentifier(node, variables);
+            case 'negate':
+                return this.evaluateNode(node.operand, variables).neg();
+            case 'reverse':
+                return this.evaluateNode(node.operand, variables).reverse();
+            case 'call':
+                return this.evaluateCall(node, variables);
+            case 'binary':
+                return this.evaluateBinary(
+                    node.operator,
+                    this.evaluateNode(node.left, variables),
+                    this.evaluateNode(node.right, variables)
+                );
+            default:
+                throw new ExpressionError(`Unknown node type '${node.type}'`);
+        }
+    }
+
+    resolveIdentifier(node, variables) {
+        if (Object.prototype.hasOwnProperty.call(variables, node.name)) {
+            const value = variables[node.name];
+            if (value instanceof Multivector2) return value;
+            if (value instanceof Vector2) return value.toMultivector();
+            return Multivector2.scalar(value);
+        }
+        if (Object.prototype.hasOwnProperty.call(EXPRESSION_CONSTANTS, node.name)) {
+            return EXPRESSION_CONSTANTS[node.name];
+        }
+        throw new ExpressionError(`Unknown variable '${node.name}'`, node.position);
+    }
+
+    evaluateCall(node, variables) {
+        if (!Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, node.name)) {
+            throw new ExpressionError(`Unknown function '${node.name}'`, node.position);
+        }
+
+        const fn = EXPRESSION_FUNCTIONS[node.name];
+        if (node.args.length !== fn.arity) {
+            throw new ExpressionError(`${node.name} expects ${fn.arity} argument${fn.arity === 1 ? '' : 's'}`, node.position);
+        }
+
+        return fn.apply(...node.args.map(arg => this.evaluateNode(arg, variables)));
+    }
+
+    evaluateBinary(operator, left, right) {
+        switch (operator) {
+            case '+': return left.add(right);
+            case '-': return left.sub(right);
+            case '*': return left.mul(right);
+            case '/':
+                try {
+                    return left.mul(right.inverse());
+                } catch (error) {
+                    throw new ExpressionError('Division by a non-invertible multivector');
+                }
+            case '^': return left.wedge(right);
+            case '.':
+            case '<<': return left.leftContract(right);
+            case '>>': return left.rightContract(right);
+            default:
+                throw new ExpressionError(`Unknown operator '${operator}'`);
+        }
+    }
+}
+
+function formatMultivectorLatex(multivector) {
+    const terms = [
+        [multivector.s, ''],
+        [multivector.e1, 'e_1'],
+        [multivector.e2, 'e_2'],
+        [multivector.e12, 'I']
+    ].filter(([value]) => Math.abs(value) >= 0.005);
+
+    if (terms.length === 0) return '0';
+
+    return terms.map(([value, basis], i) => {
+        const sign = i === 0 ? (value < 0 ? '-' : '') : (value < 0 ? '- ' : '+ ');
+        return `${sign}${Math.abs(value).toFixed(2)}${basis ? ' ' + basis : ''}`;
+    }).join(' ');
+}
+
+function formatMultivectorText(multivector) {
+    return formatMultivectorLatex(multivector).replace('e_1', 'e1').replace('e_2', 'e2');
+}
+
+class NamedVector {
+    /**
+     * @param {string} name Identifier used in labels and expressions
+     * @param {Vector2} vector
+     * @param {string|null} color CSS color, or null to use the default color for the name
+     */
+    constructor(name, vector, color = null) {
+        this.name = name;
+        this.vector = vector;
+        this.color = color;
+    }
+
+    clone() {
+        return new NamedVector(this.name, this.vector.clone(), this.color);
+    }
+
+    equals(other) {
+        if (!other) return false;
+
+        return this.name === other.name && this.color === other.color && this.vector.equals(other.vector);
+    }
+}
+
+// Names that would clash with expression constants and functions, with construction visibility keys,
+// or with the time t of timeline bindings
+const RESERVED_VECTOR_NAMES = new Set([
+    ...Object.keys(EXPRESSION_CONSTANTS),
+    ...Object.keys(EXPRESSION_FUNCTIONS),
+    't',
+    'brot', 'dot', 'wedge', 'expression', 'rotor', 'sandwich', 'reflect', 'mirrorPerp', 'reflect2',
+    'project', 'reject'
+]);
+
+const VECTOR_NAME_REGEX = /^[a-z][a-z0-9_]*$/;
+
+// Only plain hex colors are accepted from links, since they end up in inline styles
+const VECTOR_COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+
+// Camera orientations of the view buttons, rotationX tilts the view away from top-down
+const CAMERA_PRESETS = {
+    top: { rotationX: 0, rotationY: 0 },
+    isometric: { rotationX: Math.acos(1 / Math.sqrt(3)), rotationY: Math.PI / 4 },
+    side: { rotationX: Math.PI / 3, rotationY: 0 }
+};
+
+// Angle between the directions a dragged endpoint snaps to, 15 degrees
+const SNAP_ANGLE_STEP = Math.PI / 12;
+
+// Shapes that oriented areas can be drawn as, only the area and the orientation of a bivector are defined
+const BIVECTOR_SHAPES = ['parallelogram', 'square', 'disc'];
+
+// Corners of the outline of a bivector drawn as a disc, the most any outline has
+const BIVECTOR_DISC_SEGMENTS = 64;
+
+// Distance from the unit circle within which a dragged endpoint sticks to it
+const UNIT_CIRCLE_SNAP_TOLERANCE = 0.15;
+
+/**
+ * Moves a dragged endpoint to the closest position allowed by the snapping modes.
+ * Grid modes round the coordinates, the others act on the length and direction.
+ * @param {Vector2} vector
+ * @param {Set<string>} modes any of 'grid', 'half-grid', 'angle', 'length' and 'unit-circle'
+ * @returns {Vector2}
+ */
+function snapVector(vector, modes) {
+    let snapped = vector;
+
+    if (modes.has('grid')) {
+        snapped = new Vector2(Math.round(snapped.x), Math.round(snapped.y));
+    }
+    if (modes.has('half-grid')) {
+        snapped = new Vector2(Math.round(2 * snapped.x) / 2, Math.round(2 * snapped.y) / 2);
+    }
+
+    let length = norm2(snapped);
+    if (length < 0.001 || !(modes.has('angle') || modes.has('length') || modes.has('unit-circle'))) {
+        return snapped;
+    }
+
+    let angle = Math.atan2(snapped.y, snapped.x);
+    if (modes.has('angle')) {
+        angle = Math.round(angle / SNAP_ANGLE_STEP) * SNAP_ANGLE_STEP;
+    }
+    if (modes.has('length')) {
+        length = Math.max(1, Math.round(length));
+    }
+    if (modes.has('unit-circle') && Math.abs(length - 1) < UNIT_CIRCLE_SNAP_TOLERANCE) {
+        length = 1;
+    }
+
+    return new Vector2(length * Math.cos(angle), length * Math.sin(angle));
+}
+
+/**
+ * Interpolates between two vectors in polar form, so that they turn the short way round instead of shrinking through zero.
+ * @param {Vector2} from
+ * @param {Vector2} to
+ * @param {number} t from 0 to 1
+ * @returns {Vector2}
+ */
+function interpolateVector(from, to, t) {
+    const fromLength = norm2(from);
+    const toLength = norm2(to);
+
+    // A zero vector has no direction, it grows out of or shrinks into the direction of the other
+    let fromAngle = Math.atan2(from.y, from.x);
+    let toAngle = Math.atan2(to.y, to.x);
+    if (fromLength < 0.001) fromAngle = toAngle;
+    if (toLength < 0.001) toAngle = fromAngle;
+
+    let deltaAngle = toAngle - fromAngle;
+    if (deltaAngle > Math.PI) deltaAngle -= 2 * Math.PI;
+    if (deltaAngle < -Math.PI) deltaAngle += 2 * Math.PI;
+
+    const angle = fromAngle + deltaAngle * t;
+    const length = fromLength + (toLength - fromLength) * t;
+    return new Vector2(length * Math.cos(angle), length * Math.sin(angle));
+}
+
+// Quantities plotted in the chart panel, |abc| is null without c
+const CHART_SERIES = [
+    { key: 'dot', cssVariable: '--dot-a-b-color', value: (A, B) => A.dot(B) },
+    { key: 'wedge', cssVariable: '--wedge-a-b-color', value: (A, B) => A.wedge(B) },
+    { key: 'norm', cssVariable: '--prod-a-b-c-color', value: (A, B, C) => C ? geometricProduct(A, B, C).norm() : null },
+    { key: 'angle', cssVariable: '--rotor-a-b-color', value: (A, B) => Math.atan2(A.wedge(B), A.dot(B)) }
+];
+
+// Directions in which the arrow keys move a focused vector endpoint
+const ARROW_KEY_DIRECTIONS = {
+    ArrowLeft: new Vector2(-1, 0),
+    ArrowRight: new Vector2(1, 0),
+    ArrowUp: new Vector2(0, 1),
+    ArrowDown: new Vector2(0, -1)
+};
+
+// Components shown in the matrix of a user vector, polar angles are in degrees
+const CARTESIAN_COMPONENTS = ['x', 'y'];
+const POLAR_COMPONENTS = ['length', 'angle'];
+
+// Constructions by visibility key, as read out in the text description of the scene
+const CONSTRUCTION_DESCRIPTIONS = {
+    brot: 'b rotated by 90°',
+    dot: 'the parallelogram of a dot b',
+    wedge: 'the parallelogram of a wedge b',
+    rotor: 'the arc of the rotor ab',
+    sandwich: 'c rotated by the rotor ab',
+    reflect: 'the reflection of c in a',
+    mirrorPerp: 'the mirror line orthogonal to a',
+    reflect2: 'the reflection of c in a and then in b',
+    project: 'the projection of c onto a',
+    reject: 'the rejection of c from a',
+    prodABC: 'the product abc',
+    prodCAB: 'the product cab',
+    expression: 'the expression'
+};
+
+// Prefix of the URL hash that holds a serialized state
+const PERMALINK_HASH_PREFIX = '#state=';
+
+// Local storage keys of the scene of the last visit and of the scenes saved by the user
+const SESSION_STORAGE_KEY = 'geoprodviz2d.session';
+const PRESETS_STORAGE_KEY = 'geoprodviz2d.presets';
+
+// Version of the preset library format, the scenes in it carry their own STATE_SCHEMA_VERSION
+const PRESET_LIBRARY_VERSION = 1;
+
+// Catalog of the examples in the blog and the sidebar, relative to the page
+const EXAMPLE_CATALOG_URL = 'data/examples.json';
+const EXAMPLE_CATALOG_VERSION = 1;
+
+// Ids of examples, also used in the data-example attributes of their buttons
+const EXAMPLE_ID_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Catalog of the exercises and the best points per solved exercise, ids follow EXAMPLE_ID_REGEX
+const EXERCISE_CATALOG_URL = 'data/exercises.json';
+const EXERCISE_CATALOG_VERSION = 1;
+const EXERCISE_PROGRESS_STORAGE_KEY = 'geoprodviz2d.exercises';
+
+// Points for solving an exercise, each hint shown costs one but a solution is worth at least one
+const EXERCISE_POINTS = 3;
+
+// Default tolerance of a goal, compared with the norm of the difference
+const EXERCISE_TOLERANCE = 0.05;
+
+// Colors assigned to added vectors
+const VECTOR_COLOR_PALETTE = ['#e67e22', '#1abc9c', '#e74c3c', '#9b59b6', '#f1c40f', '#3498db', '#ecf0f1'];
+
+function colorToHex(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+// Fixed GIF palette with 6 levels of red, 7 of green and 6 of blue, the last 4 entries are unused
+const GIF_PALETTE = Array.from({ length: 256 }, (_, index) => index < 252
+    ? [Math.floor(index / 42) * 51, Math.round((Math.floor(index / 6) % 7) * 42.5), (index % 6) * 51]
+    : [0, 0, 0]);
+
+/**
+ * Maps RGBA pixels to the nearest colors of GIF_PALETTE.
+ * @param {Uint8ClampedArray} rgba
+ * @returns {Uint8Array}
+ */
+function indexGIFColors(rgba) {
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < indices.length; i++) {
+        const r = Math.round(rgba[4 * i] / 51);
+        const g = Math.round(rgba[4 * i + 1] / 42.5);
+        const b = Math.round(rgba[4 * i + 2] / 51);
+        indices[i] = r * 42 + g * 6 + b;
+    }
+    return indices;
+}
+
+/**
+ * Compresses palette indices with the variable code length LZW of the GIF format.
+ * @param {Uint8Array} indices
+ * @returns {number[]} the code stream split into sub-blocks of at most 255 bytes
+ */
+function encodeGIFImageData(indices) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    const data = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    const writeCode = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            data.push(bitBuffer & 0xff);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    let codes = new Map();
+    let nextCode = endCode + 1;
+    writeCode(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        const code = codes.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        writeCode(prefix);
+        if (nextCode === 4096) {
+            // The table is full, start over
+            writeCode(clearCode);
+            codes = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            codes.set(key, nextCode++);
+        }
+        prefix = indices[i];
+    }
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bitCount > 0) data.push(bitBuffer & 0xff);
+
+    const blocks = [minCodeSize];
+    for (let i = 0; i < data.length; i += 255) {
+        const block = data.slice(i, i + 255);
+        blocks.push(block.length, ...block);
+    }
+    blocks.push(0);
+    return blocks;
+}
+
+/**
+ * Builds a looping animated GIF.
+ * @param {Uint8Array[]} frames palette indices of each frame, see indexGIFColors
+ * @param {number} width
+ * @param {number} height
+ * @param {number} delay time per frame in hundredths of a second
+ * @returns {Uint8Array}
+ */
+function encodeGIF(frames, width, height, delay) {
+    const bytes = [];
+    const writeString = (string) => bytes.push(...[...string].map(character => character.charCodeAt(0)));
+    const writeShort = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+
+    writeString('GIF89a');
+    writeShort(width);
+    writeShort(height);
+    bytes.push(0xf7, 0, 0); // Global color table with 256 entries
+    for (const color of GIF_PALETTE) {
+        bytes.push(...color);
+    }
+
+    // Loop forever
+    bytes.push(0x21, 0xff, 0x0b);
+    writeString('NETSCAPE2.0');
+    bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+
+    for (const frame of frames) {
+        bytes.push(0x21, 0xf9, 0x04, 0x00);
+        writeShort(delay);
+        bytes.push(0x00, 0x00);
+
+        bytes.push(0x2c);
+        writeShort(0);
+        writeShort(0);
+        writeShort(width);
+        writeShort(height);
+        bytes.push(0x00);
+
+        for (const byte of encodeGIFImageData(frame)) {
+            bytes.push(byte);
+        }
+    }
+
+    bytes.push(0x3b);
+    return new Uint8Array(bytes);
+}
+
+class VectorState {
+    constructor(vectors = [
+        new NamedVector('a', new Vector2(2, 1)),
+        new NamedVector('b', new Vector2(-1, 1)),
+        new NamedVector('c', new Vector2(-1, 0))
+    ]) {
+        this.vectors = vectors;
+    }
+
+    static fromABC(A, B, C) {
+        return new VectorState([
+            new NamedVector('a', A),
+            new NamedVector('b', B),
+            new NamedVector('c', C)
         ]);
-        const xMaterial = new THREE.LineBasicMaterial({ color: 0xff6b6b, linewidth: 2 });
-        const xAxis = new THREE.Line(xGeometry, xMaterial);
-        axesGroup.add(xAxis);
+    }
+
+    // The constructions (dot, wedge, products) are defined on the vectors named a, b and c
+    get A() {
+        return this.get('a');
+    }
+
+    get B() {
+        return this.get('b');
+    }
+
+    get C() {
+        return this.get('c');
+    }
+
+    has(name) {
+        return this.vectors.some(v => v.name === name);
+    }
+
+    find(name) {
+        return this.vectors.find(v => v.name === name);
+    }
+
+    get(name) {
+        return this.find(name)?.vector;
+    }
+
+    set(name, vector) {
+        this.find(name).vector = vector;
+    }
+
+    // Create a deep copy of the current state
+    clone() {
+        return new VectorState(this.vectors.map(v => v.clone()));
+    }
+
+    // Check if two states are equal
+    equals(other) {
+        if (!other) return false;
+
+        return (
+            this.vectors.length === other.vectors.length &&
+            this.vectors.every((v, i) => v.equals(other.vectors[i]))
+        );
+    }
+}
+
+class VectorVisualizerState {
+    constructor(vector = new VectorState(), visibility = null) {
+        this.vector = vector;
+        this.visibility = visibility || {
+            a: true,
+            b: true,
+            c: true,
+            brot: true,
+            dot: true,
+            wedge: true,
+            prodABC: true,
+            prodCAB: true,
+            expression: true,
+            rotor: false,
+            sandwich: false,
+            reflect: false,
+            mirrorPerp: false,
+            reflect2: false,
+            project: false,
+            reject: false
+        };
+    }
+
+    // Create a deep copy of the current state
+    clone() {
+        return new VectorVisualizerState(
+            this.vector.clone(),
+            { ...this.visibility }
+        );
+    }
+
+    // Check if two states are equal
+    equals(other) {
+        if (!other) return false;
+
+        return (
+            this.vector.equals(other.vector) &&
+            JSON.stringify(this.visibility) === JSON.stringify(other.visibility)
+        );
+    }
+}
+
+class StateValidationError extends Error {
+    constructor(message, path = null) {
+        super(path === null ? message : `${path}: ${message}`);
+        this.name = 'StateValidationError';
+        this.path = path;
+    }
+}
+
+/**
+ * Version of the JSON written by getStateJSON. Bump it whenever the shape changes
+ * and add a migration from the previous version to STATE_MIGRATIONS.
+ *
+ * 1: Vectors A, B and C as an object, unversioned
+ * 2: List of named vectors, camera, view and expression
+ */
+const STATE_SCHEMA_VERSION = 2;
+
+// Migrations by the version they upgrade from, each returns the JSON of the next version
+const STATE_MIGRATIONS = {
+    1: (json) => {
+        const vectors = [];
+        for (const key of ['A', 'B', 'C']) {
+            const vector = json.vector?.[key];
+            if (typeof vector !== 'object' || vector === null) {
+                throw new StateValidationError('must be an object with x and y', `vector.${key}`);
+            }
+            vectors.push({ name: key.toLowerCase(), x: vector.x, y: vector.y });
+        }
+
+        // Early states had a single toggle for both triple products
+        const { prod, ...visibility } = json.visibility ?? {};
+        if (prod !== undefined) {
+            visibility.prodABC = prod;
+            visibility.prodCAB = prod;
+        }
+
+        return { version: 2, vectors, visibility };
+    }
+};
+
+/**
+ * Upgrades a state JSON of any known version to STATE_SCHEMA_VERSION.
+ * @param {object} json
+ * @returns {object}
+ * @throws {StateValidationError} if the version is unknown
+ */
+function migrateStateJSON(json) {
+    if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+        throw new StateValidationError('The scene must be a JSON object');
+    }
+
+    // Unversioned JSON is either a permalink from before versioning or the A, B, C state
+    let version = json.version ?? (Array.isArray(json.vectors) ? 2 : 1);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new StateValidationError('must be a positive integer', 'version');
+    }
+    if (version > STATE_SCHEMA_VERSION) {
+        throw new StateValidationError(
+            `${version} is newer than the supported version ${STATE_SCHEMA_VERSION}, reload the page to update it`,
+            'version'
+        );
+    }
+
+    while (version < STATE_SCHEMA_VERSION) {
+        json = STATE_MIGRATIONS[version](json);
+        version++;
+    }
+
+    return { ...json, version };
+}
+
+class VectorVisualizer {
+    constructor() {
+        this.scene = null;
+        this.camera = null; // Active camera, one of the two below
+        this.perspectiveCamera = null;
+        this.orthographicCamera = null;
+        this.renderer = null;
+        this.canvas = null;
+        this.needsRender = true;
+
+        // State
+        this.state = new VectorVisualizerState();
+
+        // Three.js objects
+        this.vectorMeshes = new Map(); // User vectors by name
+        this.vectorsGroup = null; // Parent of the user vector meshes
+        this.vectorSignature = null; // Names and colors the user vector meshes were built for
+        this.vectorBRotMesh = null;
+        this.dotMesh = null; // Parallelogram spanned by A and B rotated by 90° CCW
+        this.wedgeMesh = null; // Parallelogram spanned by A and B
+        this.vectorADashedMeshWedge = null; // A vector from tip of B to tip of Sum
+        this.vectorADashedMeshDot = null;
+        this.vectorBDashedMesh = null; // B vector from tip of A to tip of Sum
+        this.vectorBRotDashedMesh = null;
+        this.vectorProdABCMesh = null;
+        this.vectorProdCABMesh = null;
+        this.expressionVectorMesh = null; // Vector part of the user expression
+        this.expressionBivectorMesh = null; // Bivector part of the user expression as a square of equal area
+        this.rotorArcMesh = null; // Arc from A to B representing the rotor AB
+        this.sandwichMesh = null; // (AB) C (AB)~
+        this.sandwichArcMesh = null; // Arc from C to the sandwich product
+        this.sandwichAnimationMesh = null; // C while it is animated towards the sandwich product
+        this.mirrorLineMesh = null; // Line through A that C is reflected in
+        this.mirrorPerpLineMesh = null; // Line through the origin orthogonal to A
+        this.reflectMesh = null; // A C A⁻¹
+        this.reflectDashedMesh = null; // From tip of C to tip of A C A⁻¹
+        this.reflect2MirrorLineMesh = null; // Line through B that A C A⁻¹ is reflected in
+        this.reflect2Mesh = null; // B A C A⁻¹ B⁻¹
+        this.reflect2DashedMesh = null; // From tip of A C A⁻¹ to tip of B A C A⁻¹ B⁻¹
+        this.reflect2ArcMesh = null; // Arc from C to B A C A⁻¹ B⁻¹
+        this.projectMesh = null; // (C·A) A⁻¹
+        this.projectDashedMesh = null; // From tip of C perpendicular down to A
+        this.rejectMesh = null; // (C∧A) A⁻¹
+        this.rejectDashedMesh = null; // From tip of C perpendicular down to the line orthogonal to A
+        this.gridMesh = null;
+        this.axesMesh = null;
+        this.unitCircleMesh = null;
+
+        // Expression
+        this.expression = new Expression('a*b*c');
+        this.expressionResult = null;
+        this.expressionError = null;
+
+        // Reflections, null if the mirror vector is zero or a vector is missing
+        this.reflection = null;
+        this.doubleReflection = null;
+
+        // Decomposition of C relative to A, null if A is zero or a vector is missing
+        this.projection = null;
+        this.rejection = null;
+
+        // Interaction
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+        this.isDragging = false;
+        this.dragTarget = null;
+        this.dragOffset = new THREE.Vector2();
+
+        // Camera
+        this.MIN_DISTANCE = 0.5;
+        this.MAX_DISTANCE = 100;
+        this.DEFAULT_DISTANCE = 10;
+        this.ZOOM_SENSITIVITY = 0.1;
+        this.cameraDistance = this.DEFAULT_DISTANCE;
+        this.cameraRotationY = 0;      // left/right rotation
+        this.cameraRotationX = 0;  // up/down rotation
+        this.cameraTarget = new THREE.Vector3(); // Point the camera orbits around and looks at
+        this.isOrthographic = false; // Top-down 2D view without perspective
+        this.isDraggingCanvas = false;
+        this.isPanningCanvas = false;
+        this.lastMousePosition = new THREE.Vector2();
+        this.activePointers = new Map(); // Pointers on the canvas by id, used for multi-touch gestures
+        this.pinchState = null; // Two-finger gesture in progress
+        this.TOUCH_DRAG_RADIUS = 24; // Distance in pixels within which a finger grabs a vector endpoint
+        this.snapMode = 'none'; // Snapping of dragged endpoints, see snapVector
+        this.bivectorShape = 'parallelogram'; // One of BIVECTOR_SHAPES, see getBivectorOutline
+        this.constraints = { fixedLengthA: false, fixedAngleAB: false, orthogonalAB: false };
+        this.dragConstraints = null; // Length and angle held by the constraints during the current drag
+        this.KEYBOARD_STEP = 0.1; // Arrow keys move endpoints and change numbers by this much
+        this.KEYBOARD_COARSE_STEP = 1; // with shift
+        this.KEYBOARD_FINE_STEP = 0.01; // with alt
+        this.KEYBOARD_ROTATION_STEP = Math.PI / 36; // View rotation per arrow key press on the canvas
+        this.CAMERA_ANIMATION_DURATION = 600; // in milliseconds
+        this.cameraAnimation = null; // Running transition towards a preset
+
+        // History, entries hold a label for the action and the snapshot from before it (undo) or after it (redo)
+        this.undoHistory = [];
+        this.redoHistory = [];
+        this.maxHistorySize = 50;
+        this.HISTORY_COALESCE_DELAY = 1000; // in milliseconds, repeated edits within it make one entry
+        this.isViewDragSaved = false; // The current drag of the view has its history entry
+
+        // Permalink
+        this.PERMALINK_UPDATE_DELAY = 300; // in milliseconds
+        this.permalinkTimeout = null;
+
+        // Scenes saved by the user as { name, scene } with the scene as returned by getStateJSON
+        this.presets = [];
+
+        // Examples of the catalog by id, empty until it is loaded
+        this.examples = new Map();
+
+        // Exercises of the catalog, the open one as { exercise, index, hints, solved }
+        // and the best points by exercise id
+        this.exercises = [];
+        this.exercise = null;
+        this.exerciseProgress = {};
+
+        // LaTeX currently shown in the info panel by element id, used to export the equations
+        this.panelLatex = new Map();
+
+        // Numbers in the vector matrices
+        this.polarVectors = new Set(); // Names of the user vectors shown by length and angle
+        this.NUMBER_SCRUB_SENSITIVITY = 0.01; // Change per pixel of vertical pointer movement
+        this.NUMBER_CLICK_DISTANCE = 3; // in pixels, a pointer that moved less clicks the number to edit it
+        this.ANGLE_STEP_SCALE = 10; // Angles in degrees step ten times as far as lengths
+
+        // Screen readers, the values are announced once the vectors stop changing
+        this.ANNOUNCEMENT_DELAY = 500; // in milliseconds
+        this.announcementTimeout = null;
+        this.lastAnnouncement = '';
+
+        // Labels at the arrow tips
+        this.labelsContainer = null;
+        this.labelledMeshes = new Set();
+        this.labelSettings = { visible: true, math: true, annotation: 'none' }; // annotation: 'none', 'coordinates' or 'length'
+        this.LABEL_GAP = 4; // Space in pixels between the tip of an arrow and its label, and between labels
+
+        // Figure export
+        this.EXPORT_PIXEL_RATIO = 3; // Resolution of PNG exports relative to the canvas size
+
+        // Animation
+        this.SANDWICH_ANIMATION_DURATION = 2000; // in milliseconds
+        this.sandwichAnimationStart = null;
+        this.stateTransitionDuration = 500; // in milliseconds, 0 switches states instantly
+        this.stateTransition = null; // Tween towards a loaded, undone or redone state
+
+        // Timeline
+        this.timeline = {
+            duration: 4000, // in milliseconds
+            time: 0, // Playhead, the parameter t from 0 to 1
+            keyframes: new Map(), // Sorted lists of { time, vector } by vector name
+            bindings: new Map(), // Expressions in t by vector name, they take precedence over keyframes
+            base: null // Vectors when the timeline took over, which the bindings refer to
+        };
+        this.timelinePlayback = null; // Start of the running playback
+        this.isRecordingTimeline = false;
+        this.TIMELINE_VIDEO_FPS = 30;
+        this.TIMELINE_GIF_FPS = 15;
+        this.TIMELINE_GIF_WIDTH = 480; // in pixels
+
+        // Chart
+        this.chart = {
+            axis: 'time', // 'time' plots the recent history, 'angle' plots against the angle from a to b
+            samples: [], // Values of the series by key with the time they were reached, oldest first
+            hidden: new Set(), // Keys of the series switched off in the legend
+            colors: null // CSS colors of the series by key, read on the first render
+        };
+        this.chartNeedsRender = true;
+        this.CHART_WINDOW = 10000; // History shown over time, in milliseconds
+        this.CHART_ANGLE_SAMPLES = 180;
+
+        // Walkthroughs
+        this.walkthrough = null; // Steps of the running walkthrough and the index of the shown one
+        this.dimmedObjects = new Set(); // Objects that are not highlighted by the current step
+        this.DIMMED_OPACITY = 0.2; // Opacity of the dimmed objects relative to their own
+
+        // Scroll tracking
+        this.previousScrollPosition = 0;
+        this.isScrollingToCanvas = false;
+        this.returnButton = null;
+
+        this.init();
+    }
+
+    init() {
+        this.setupThreeJS();
+        this.createScene();
+        this.setupEventListeners();
+        this.updateVectors();
+        const linkedState = this.getStateFromURL();
+        if (linkedState) {
+            this.applyStateJSON(linkedState);
+        } else {
+            this.restoreSession();
+        }
+        this.renderHistory();
+        this.loadPresets();
+        this.loadExampleCatalog();
+        this.loadExerciseProgress();
+        this.loadExerciseCatalog();
+
+        this.returnButton = document.getElementById('return-button');
+
+        // Ensure proper sizing after layout is complete
+        requestAnimationFrame(() => {
+            this.updateCanvasSize();
+        });
+
+        this.animate();
+    }
+
+    getCSSColor(cssVariable) {
+        // Get the CSS variable value from the document root
+        const cssValue = getComputedStyle(document.documentElement)
+            .getPropertyValue(cssVariable)
+            .trim();
+
+        return this.parseCSSColor(cssValue);
+    }
+
+    parseCSSColor(cssValue) {
+        // Convert CSS color to hex format for Three.js
+        // Create a temporary element to get the computed color
+        const tempElement = document.createElement('div');
+        tempElement.style.color = cssValue;
+        document.body.appendChild(tempElement);
+
+        const computedColor = getComputedStyle(tempElement).color;
+        document.body.removeChild(tempElement);
+
+        // Convert rgb(r, g, b) to hex
+        const rgbRegex = /rgb\((\d+),\s*(\d+),\s*(\d+)\)/;
+        const rgbMatch = rgbRegex.exec(computedColor);
+        if (rgbMatch) {
+            const r = parseInt(rgbMatch[1]);
+            const g = parseInt(rgbMatch[2]);
+            const b = parseInt(rgbMatch[3]);
+            return (r << 16) | (g << 8) | b;
+        }
+
+        // Fallback to a default color if parsing fails
+        return 0xff0000; // Red as fallback
+    }
+
+    setupThreeJS() {
+        this.canvas = document.getElementById('threejs-canvas');
+        this.labelsContainer = document.getElementById('vector-labels');
+
+        // Scene
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(this.getCSSColor('--color-surface'));
+
+        const container = document.querySelector('.canvas-container');
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        const aspect = width / height;
+
+        // Camera
+        const fov = 75; // in degrees
+        this.perspectiveCamera = new THREE.PerspectiveCamera(
+            fov,
+            aspect,
+            0.1,
+            1000
+        );
+
+        // The frustum is sized by updateOrthographicFrustum to match the perspective view of the plane
+        this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+
+        this.camera = this.perspectiveCamera;
+        this.updateCameraPosition();
+
+        // Renderer
+        this.renderer = new THREE.WebGLRenderer({
+            canvas: this.canvas,
+            antialias: true,
+            alpha: true
+        });
+
+        // Set initial size
+        this.updateCanvasSize();
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+
+        this.needsRender = true;
+    }
+
+    createScene() {
+        this.createGrid();
+        this.createUnitCircle();
+        this.createAxes();
+        this.createVectors();
+        this.updateMeshVisibility();
+    }
+
+    createGrid() {
+        const gridSize = 2 * Math.ceil((2 / 3) * this.MAX_DISTANCE);
+        const divisions = gridSize;
+
+        const grid = new THREE.GridHelper(gridSize, divisions, 0x334155, 0x1e293b);
+        grid.rotation.x = Math.PI / 2;
+        this.gridMesh = grid;
+        this.scene.add(grid);
+    }
+
+    createUnitCircle() {
+        const geometry = new THREE.RingGeometry(0.99, 1.01, 64);
+        const material = new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide });
+        this.unitCircleMesh = new THREE.Mesh(geometry, material);
+        this.scene.add(this.unitCircleMesh);
+
+        this.unitCircleMesh.visible = false;
+    }
+
+    createAxes() {
+        const axesGroup = new THREE.Group();
+
+        const axesLength = Math.ceil((2 / 3) * this.MAX_DISTANCE);
+
+        // X-axis (red)
+        const xGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(-axesLength, 0, 0),
+            new THREE.Vector3(axesLength, 0, 0)
+        ]);
+        const xMaterial = new THREE.LineBasicMaterial({ color: 0xff6b6b, linewidth: 2 });
+        const xAxis = new THREE.Line(xGeometry, xMaterial);
+        axesGroup.add(xAxis);
+
+        // Y-axis (green)
+        const yGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, -axesLength, 0),
+            new THREE.Vector3(0, axesLength, 0)
+        ]);
+        const yMaterial = new THREE.LineBasicMaterial({ color: 0x51cf66, linewidth: 2 });
+        const yAxis = new THREE.Line(yGeometry, yMaterial);
+        axesGroup.add(yAxis);
+
+        // Z-axis (blue)
+        const zGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 0, -axesLength),
+            new THREE.Vector3(0, 0, axesLength)
+        ]);
+        const zMaterial = new THREE.LineBasicMaterial({ color: 0x6b5eff, linewidth: 2 });
+        const zAxis = new THREE.Line(zGeometry, zMaterial);
+        axesGroup.add(zAxis);
+
+        this.axesMesh = axesGroup;
+        this.scene.add(axesGroup);
+    }
+
+    createVectors() {
+        // Get colors from CSS variables
+        const vectorAColor = this.getCSSColor('--vector-a-color');
+        const vectorBColor = this.getCSSColor('--vector-b-color');
+        const vectorBRotColor = this.getCSSColor('--vector-brot-color');
+        const dotColor = this.getCSSColor('--dot-a-b-color');
+        const wedgeColor = this.getCSSColor('--wedge-a-b-color');
+        const prodABCColor = this.getCSSColor('--prod-a-b-c-color');
+        const prodCABColor = this.getCSSColor('--prod-c-a-b-color');
+        const expressionColor = this.getCSSColor('--expression-color');
+        const rotorColor = this.getCSSColor('--rotor-a-b-color');
+        const sandwichColor = this.getCSSColor('--sandwich-color');
+        const reflectColor = this.getCSSColor('--reflect-color');
+        const reflect2Color = this.getCSSColor('--reflect2-color');
+        const projectColor = this.getCSSColor('--project-color');
+        const rejectColor = this.getCSSColor('--reject-color');
+
+        // Constructions start out empty and are positioned by updateVectors
+        const zero = new Vector2(0, 0);
+
+        this.vectorsGroup = new THREE.Group();
+        this.vectorBRotMesh = this.createVector(zero, vectorBRotColor, 'BRot');
+        this.dotMesh = this.createParallelogram(zero, zero, dotColor);
+        this.wedgeMesh = this.createParallelogram(zero, zero, wedgeColor);
+        this.vectorProdABCMesh = this.createVector(zero, prodABCColor, 'A\'B\'C\'');
+        this.vectorProdCABMesh = this.createVector(zero, prodCABColor, 'C\'A\'B\'');
+        this.expressionVectorMesh = this.createVector(zero, expressionColor, 'Expression');
+        this.expressionBivectorMesh = this.createParallelogram(zero, zero, expressionColor);
+        this.rotorArcMesh = this.createArc(rotorColor, 'Rotor');
+        this.sandwichMesh = this.createVector(zero, sandwichColor, 'Sandwich');
+        this.sandwichArcMesh = this.createArc(sandwichColor, 'SandwichArc');
+        this.sandwichAnimationMesh = this.createVector(zero, sandwichColor, 'SandwichAnimation');
+        this.sandwichAnimationMesh.visible = false;
+        this.mirrorLineMesh = this.createLine(reflectColor, 'Mirror', false);
+        this.mirrorPerpLineMesh = this.createLine(reflectColor, 'MirrorPerp', true);
+        this.reflectMesh = this.createVector(zero, reflectColor, 'Reflect');
+        this.reflectDashedMesh = this.createDashedVector(zero, reflectColor, 'Reflect\'');
+        this.reflect2MirrorLineMesh = this.createLine(reflect2Color, 'Mirror2', false);
+        this.reflect2Mesh = this.createVector(zero, reflect2Color, 'Reflect2');
+        this.reflect2DashedMesh = this.createDashedVector(zero, reflect2Color, 'Reflect2\'');
+        this.reflect2ArcMesh = this.createArc(reflect2Color, 'Reflect2Arc');
+        this.projectMesh = this.createVector(zero, projectColor, 'Project');
+        this.projectDashedMesh = this.createDashedVector(zero, projectColor, 'Project\'');
+        this.rejectMesh = this.createVector(zero, rejectColor, 'Reject');
+        this.rejectDashedMesh = this.createDashedVector(zero, rejectColor, 'Reject\'');
+
+        // Create dashed helper vectors for parallelogram construction
+        this.vectorADashedMeshWedge = this.createDashedVector(zero, vectorAColor, 'A\'Wedge');
+        this.vectorADashedMeshDot = this.createDashedVector(zero, vectorAColor, 'A\'Dot')
+        this.vectorBDashedMesh = this.createDashedVector(zero, vectorBColor, 'B\'');
+        this.vectorBRotDashedMesh = this.createDashedVector(zero, vectorBRotColor, 'BRot\'')
+
+        this.scene.add(this.wedgeMesh);
+        this.scene.add(this.dotMesh);
+        this.scene.add(this.vectorADashedMeshWedge);
+        this.scene.add(this.vectorBDashedMesh);
+        this.scene.add(this.vectorADashedMeshDot)
+        this.scene.add(this.vectorBRotDashedMesh);
+        this.scene.add(this.vectorBRotMesh);
+        this.scene.add(this.vectorsGroup);
+        this.scene.add(this.vectorProdABCMesh);
+        this.scene.add(this.vectorProdCABMesh);
+        this.scene.add(this.expressionBivectorMesh);
+        this.scene.add(this.expressionVectorMesh);
+        this.scene.add(this.rotorArcMesh);
+        this.scene.add(this.sandwichArcMesh);
+        this.scene.add(this.sandwichMesh);
+        this.scene.add(this.sandwichAnimationMesh);
+        this.scene.add(this.mirrorLineMesh);
+        this.scene.add(this.mirrorPerpLineMesh);
+        this.scene.add(this.reflect2MirrorLineMesh);
+        this.scene.add(this.reflectDashedMesh);
+        this.scene.add(this.reflect2DashedMesh);
+        this.scene.add(this.reflect2ArcMesh);
+        this.scene.add(this.reflectMesh);
+        this.scene.add(this.reflect2Mesh);
+        this.scene.add(this.projectDashedMesh);
+        this.scene.add(this.rejectDashedMesh);
+        this.scene.add(this.projectMesh);
+        this.scene.add(this.rejectMesh);
+
+        // Same notation as the info panel
+        this.setVectorLabel(this.vectorBRotMesh, 'b⊥', '\\vec{b}_\\perp');
+        this.setVectorLabel(this.vectorProdABCMesh, 'abc', '\\vec{a}\\vec{b}\\vec{c}');
+        this.setVectorLabel(this.vectorProdCABMesh, 'cab', '\\vec{c}\\vec{a}\\vec{b}');
+        this.setVectorLabel(this.sandwichMesh, 'RcR̃', 'R\\vec{c}\\tilde{R}');
+        this.setVectorLabel(this.reflectMesh, 'aca⁻¹', '\\vec{a}\\vec{c}\\vec{a}^{-1}');
+        this.setVectorLabel(this.reflect2Mesh, 'baca⁻¹b⁻¹', '\\vec{b}\\vec{a}\\vec{c}\\vec{a}^{-1}\\vec{b}^{-1}');
+        this.setVectorLabel(this.projectMesh, '(c·a)a⁻¹', '(\\vec{c}\\cdot\\vec{a})\\vec{a}^{-1}');
+        this.setVectorLabel(this.rejectMesh, '(c∧a)a⁻¹', '(\\vec{c}\\wedge\\vec{a})\\vec{a}^{-1}');
+
+        this.syncVectors();
+    }
+
+    getVectorColor(namedVector, index) {
+        if (namedVector.color) {
+            return this.parseCSSColor(namedVector.color);
+        }
+
+        // a, b and c have theme colors, other vectors fall back to the palette
+        const cssVariable = `--vector-${namedVector.name}-color`;
+        if (getComputedStyle(document.documentElement).getPropertyValue(cssVariable).trim()) {
+            return this.getCSSColor(cssVariable);
+        }
+
+        return this.parseCSSColor(VECTOR_COLOR_PALETTE[index % VECTOR_COLOR_PALETTE.length]);
+    }
+
+    // Rebuilds the meshes and sidebar rows of the user vectors if vectors were added, removed, renamed or recolored
+    syncVectors() {
+        const signature = this.state.vector.vectors.map(v => `${v.name}:${v.color}`).join(',');
+        if (signature === this.vectorSignature) return;
+        this.vectorSignature = signature;
+
+        for (const mesh of this.vectorMeshes.values()) {
+            this.vectorsGroup.remove(mesh);
+            this.disposeMesh(mesh);
+        }
+        this.vectorMeshes.clear();
+
+        const vectorList = document.getElementById('vector-list');
+        vectorList.innerHTML = '';
+
+        for (const name of this.polarVectors) {
+            if (!this.state.vector.has(name)) this.polarVectors.delete(name);
+        }
+
+        this.state.vector.vectors.forEach((namedVector, index) => {
+            if (this.state.visibility[namedVector.name] === undefined) {
+                this.state.visibility[namedVector.name] = true;
+            }
+
+            const color = this.getVectorColor(namedVector, index);
+
+            const mesh = this.createVector(namedVector.vector, color, namedVector.name, true);
+            this.setVectorLabel(mesh, namedVector.name, `\\vec{${namedVector.name}}`);
+            mesh.userData.handle = this.createVectorHandle(namedVector.name);
+            this.vectorMeshes.set(namedVector.name, mesh);
+            this.vectorsGroup.add(mesh);
+
+            vectorList.appendChild(this.createVectorRow(namedVector, color));
+        });
+
+        // Dashed helpers take the color of the vector they copy
+        const indexA = this.state.vector.vectors.findIndex(v => v.name === 'a');
+        const indexB = this.state.vector.vectors.findIndex(v => v.name === 'b');
+        if (indexA >= 0) {
+            const colorA = this.getVectorColor(this.state.vector.vectors[indexA], indexA);
+            this.setMeshColor(this.vectorADashedMeshWedge, colorA);
+            this.setMeshColor(this.vectorADashedMeshDot, colorA);
+        }
+        if (indexB >= 0) {
+            this.setMeshColor(this.vectorBDashedMesh, this.getVectorColor(this.state.vector.vectors[indexB], indexB));
+        }
+
+        if (window.MathJax?.typesetPromise) {
+            window.MathJax.typesetPromise([vectorList]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+            });
+        }
+
+        this.renderTimelineBindings();
+        this.updateVectorLocks();
+        this.updateMeshVisibility();
+    }
+
+    createVectorRow(namedVector, color) {
+        const name = namedVector.name;
+        const hexColor = colorToHex(color);
+        const visible = Boolean(this.state.visibility[name]);
+
+        const row = document.createElement('div');
+        row.className = 'vector-info';
+        row.setAttribute('data-vector-row', name);
+        row.innerHTML = `
+            <div class="vector-display">
+                <div class="vector-info-group">
+                    <span class="vector-color${visible ? '' : ' hidden'}" data-vector-type="${name}" title="Toggle visibility" role="button" tabindex="0" aria-pressed="${visible}" aria-label="Toggle ${name}" style="background-color: ${hexColor}"></span>
+                    <h3>$\\vec{${name}} =$</h3>
+                    <div id="vector-${name}-display" class="vector-display-matrix">
+                        <span class="matrix-bracket left">(</span>
+                        <div class="matrix-content">${this.getMatrixNumbersHTML(name)}</div>
+                        <span class="matrix-bracket right">)</span>
+                    </div>
+                </div>
+                <button class="btn btn-normalize" id="normalize-${name}" title="Normalize">$\\|\\cdot\\|$</button>
+                <button class="btn btn-toggle-norm" id="toggle-norm-${name}-btn" title="Toggle norm display">
+                    <i class="fa-solid fa-chevron-down"></i>
+                </button>
+            </div>
+            <div class="vector-display norm-display" id="norm-${name}-display">
+                <div class="vector-info-group">
+                    <span class="vector-color-spacer"></span>
+                    <h3 id="vector-${name}-norm-display"></h3>
+                </div>
+                <div class="vector-actions">
+                    <button class="btn btn-normalize${this.polarVectors.has(name) ? ' active' : ''}" data-action="polar" title="Switch between coordinates and length and angle">$r,\\theta$</button>
+                    <input type="color" class="vector-color-picker" value="${hexColor}" title="Change color">
+                    <button class="btn btn-normalize" data-action="rename" title="Rename">
+                        <i class="fa-solid fa-pen"></i>
+                    </button>
+                    <button class="btn btn-normalize" data-action="remove" title="Remove">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+            </div>`;
+
+        row.querySelector(`#normalize-${name}`).addEventListener('click', () => this.normalizeVector(name));
+        row.querySelector(`#toggle-norm-${name}-btn`).addEventListener('click', () => this.toggleIndividualNormDisplay(name));
+        row.querySelector('.vector-color-picker').addEventListener('change', (e) => this.recolorVector(name, e.target.value));
+        row.querySelector('[data-action="polar"]').addEventListener('click', () => this.togglePolar(name));
+        row.querySelector('[data-action="rename"]').addEventListener('click', () => this.renameVector(name));
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => this.removeVector(name));
+
+        return row;
+    }
+
+    // Focusable stand-in for the endpoint of a user vector, moved with the arrow keys
+    createVectorHandle(name) {
+        const handle = document.createElement('button');
+        handle.className = 'vector-handle';
+        handle.setAttribute('data-vector-handle', name);
+        handle.setAttribute('aria-label', `Vector ${name}`);
+        handle.setAttribute('aria-describedby', 'vector-handle-hint');
+        document.getElementById('vector-handles').appendChild(handle);
+        return handle;
+    }
+
+    // Keeps the endpoint handles on the tips, hidden vectors can not be focused
+    updateVectorHandles() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+
+        for (const [name, mesh] of this.vectorMeshes) {
+            const handle = mesh.userData.handle;
+            const [, end] = this.getSVGPoints(mesh.children[0]);
+            const tip = this.state.visibility[name] ? this.projectToScreen(end, width, height) : null;
+
+            handle.hidden = !tip;
+            if (tip) {
+                handle.style.transform = `translate(${tip.x.toFixed(1)}px, ${tip.y.toFixed(1)}px)`;
+            }
+        }
+    }
+
+    // Shift takes large steps and alt small ones
+    getKeyboardStep(event) {
+        if (event.shiftKey) return this.KEYBOARD_COARSE_STEP;
+        if (event.altKey) return this.KEYBOARD_FINE_STEP;
+        return this.KEYBOARD_STEP;
+    }
+
+    /**
+     * Moves the endpoint of a vector with the arrow keys. Holding a key down makes a single undo step,
+     * and the locks hold just as while dragging.
+     * @param {KeyboardEvent} event
+     * @param {string} name
+     */
+    onVectorHandleKeyDown(event, name) {
+        const direction = ARROW_KEY_DIRECTIONS[event.key];
+        if (!direction || this.isVectorLocked(name)) return;
+
+        event.preventDefault();
+
+        this.saveState(`moved ${name}`, `move:${name}`);
+
+        this.dragConstraints = this.getHeldConstraints();
+        const position = this.state.vector.get(name).add(direction.scale(this.getKeyboardStep(event)));
+        this.state.vector.set(name, position);
+        this.applyConstraints(name);
+        this.dragConstraints = null;
+
+        this.updateVectors();
+    }
+
+    // Arrow keys turn the view, or move it in the 2D view, and plus and minus zoom
+    onCanvasKeyDown(event) {
+        const direction = ARROW_KEY_DIRECTIONS[event.key];
+
+        if (direction && this.isOrthographic) {
+            const pixels = 20;
+            this.saveViewState('moved the view', 'view-keys');
+            this.panCamera(-direction.x * pixels, direction.y * pixels);
+        } else if (direction) {
+            this.saveViewState('turned the view', 'view-keys');
+            const maxVerticalAngle = Math.PI / 3;
+            this.cameraRotationY = (this.cameraRotationY - direction.x * this.KEYBOARD_ROTATION_STEP) % (2 * Math.PI);
+            this.cameraRotationX = Math.max(-maxVerticalAngle, Math.min(maxVerticalAngle,
+                this.cameraRotationX + direction.y * this.KEYBOARD_ROTATION_STEP));
+            this.updateCameraPosition();
+        } else if (event.key === '+' || event.key === '=' || event.key === '-') {
+            const zoomFactor = event.key === '-' ? 1.2 : 1 / 1.2;
+            this.saveViewState('zoomed the view', 'zoom');
+            this.cameraDistance = Math.max(this.MIN_DISTANCE, Math.min(this.MAX_DISTANCE, this.cameraDistance * zoomFactor));
+            this.updateCameraPosition();
+        } else {
+            return;
+        }
+
+        this.cameraAnimation = null;
+        event.preventDefault();
+    }
+
+    getMatrixNumbersHTML(name) {
+        const components = this.polarVectors.has(name) ? POLAR_COMPONENTS : CARTESIAN_COMPONENTS;
+        return components.map(component => {
+            const value = this.getVectorComponentValue(name, component);
+            return `
+                <span class="draggable-number" data-vector="${name}" data-component="${component}" title="Drag up/down to change value, click to type it" role="spinbutton" tabindex="0" aria-label="${component} of ${name}" aria-valuenow="${value.toFixed(2)}">${this.formatVectorComponent(component, value)}</span>`;
+        }).join('');
+    }
+
+    formatVectorComponent(component, value) {
+        return component === 'angle' ? `${value.toFixed(2)}°` : value.toFixed(2);
+    }
+
+    // Switches the matrix of a user vector between its coordinates and its length and angle
+    togglePolar(name) {
+        if (!this.polarVectors.delete(name)) {
+            this.polarVectors.add(name);
+        }
+
+        const row = document.querySelector(`[data-vector-row="${name}"]`);
+        row.querySelector('.matrix-content').innerHTML = this.getMatrixNumbersHTML(name);
+        row.querySelector('[data-action="polar"]').classList.toggle('active', this.polarVectors.has(name));
+    }
+
+    setMeshColor(group, color) {
+        group.traverse(object => {
+            if (object.material) {
+                object.material.color.setHex(color);
+            }
+        });
+        this.needsRender = true;
+    }
+
+    disposeMesh(group) {
+        if (this.labelledMeshes.delete(group)) {
+            group.userData.label.remove();
+        }
+        group.userData.handle?.remove();
+
+        group.traverse(object => {
+            object.geometry?.dispose();
+            object.material?.dispose();
+        });
+    }
+
+    createVector(vector, color, label, draggable = false) {
+        const group = new THREE.Group();
+
+        // Arrow shaft
+        const shaftGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(vector.x, vector.y, 0)
+        ]);
+        const shaftMaterial = new THREE.LineBasicMaterial({
+            color: color,
+            linewidth: 3,
+            transparent: true,
+            opacity: 0.9
+        });
+        const shaft = new THREE.Line(shaftGeometry, shaftMaterial);
+        group.add(shaft);
+
+        // Arrow head
+        const headHeight = 0.15
+        const headGeometry = new THREE.ConeGeometry(headHeight / 2.0, headHeight, 3);
+        const headMaterial = new THREE.MeshBasicMaterial({ color: color });
+        const head = new THREE.Mesh(headGeometry, headMaterial);
+
+        // Position and rotate arrow head
+        const angle = Math.atan2(vector.y, vector.x);
+        head.position.set(vector.x, vector.y, 0);
+        head.rotation.z = angle - Math.PI / 2;
+        group.add(head);
+
+        // Draggable endpoint (only for user vectors)
+        if (draggable) {
+            const endpointGeometry = new THREE.CircleGeometry(0.15, 6);
+            const endpointMaterial = new THREE.MeshBasicMaterial({
+                color: color,
+                transparent: true,
+                opacity: 0.8
+            });
+            const endpoint = new THREE.Mesh(endpointGeometry, endpointMaterial);
+            endpoint.position.set(vector.x, vector.y, 0.01);
+            endpoint.userData = { draggable: true, vectorType: label };
+            group.add(endpoint);
+        }
+
+        // Label, shown once it is given a text by setVectorLabel
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'vector-label';
+        labelDiv.style.color = `#${color.toString(16).padStart(6, '0')}`;
+        labelDiv.innerHTML = '<span class="vector-label-name"></span><span class="vector-label-annotation"></span>';
+        labelDiv.hidden = true;
+
+        group.userData = {
+            label: labelDiv,
+            vectorType: label.toLowerCase(),
+            color: color
+        };
+
+        return group;
+    }
+
+    /**
+     * Shows a label at the tip of a vector created by createVector.
+     * @param {THREE.Group} group
+     * @param {string} text plain form, also used while MathJax is unavailable
+     * @param {string} latex
+     */
+    setVectorLabel(group, text, latex) {
+        group.userData.labelText = text;
+        group.userData.labelLatex = latex;
+
+        this.labelsContainer.appendChild(group.userData.label);
+        this.labelledMeshes.add(group);
+        this.renderLabelNames([group]);
+    }
+
+    // Fills in the names of the labels in the current notation
+    renderLabelNames(groups = this.labelledMeshes) {
+        const spans = [];
+        for (const group of groups) {
+            const span = group.userData.label.querySelector('.vector-label-name');
+            span.textContent = group.userData.labelText;
+            if (this.labelSettings.math) {
+                span.innerHTML = `$${group.userData.labelLatex}$`;
+                spans.push(span);
+            }
+        }
+
+        if (spans.length > 0) {
+            if (window.MathJax?.typesetPromise) {
+                window.MathJax.typesetPromise(spans).then(() => {
+                    this.needsRender = true;
+                }).catch((err) => {
+                    console.warn('MathJax rendering error:', err);
+                    this.renderPlainLabelNames(groups);
+                });
+            } else {
+                this.renderPlainLabelNames(groups);
+            }
+        }
+        this.needsRender = true;
+    }
+
+    renderPlainLabelNames(groups) {
+        for (const group of groups) {
+            group.userData.label.querySelector('.vector-label-name').textContent = group.userData.labelText;
+        }
+    }
+
+    getLabelAnnotation(start, end) {
+        const x = end.x - start.x;
+        const y = end.y - start.y;
+
+        switch (this.labelSettings.annotation) {
+            case 'coordinates':
+                return `(${x.toFixed(2)}, ${y.toFixed(2)})`;
+            case 'length':
+                return `length ${Math.hypot(x, y).toFixed(2)}`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Moves the labels of the shown vectors next to their tips.
+     * User vectors are placed first, later labels that would overlap one are pushed below it.
+     * The texts of all labels are set before any is measured, so that the page is laid out only once.
+     */
+    updateLabels() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const shown = new Set(this.labelSettings.visible ? this.getVisibleSceneObjects() : []);
+
+        const groups = [...this.labelledMeshes].sort((first, second) =>
+            (second.parent === this.vectorsGroup) - (first.parent === this.vectorsGroup));
+
+        const labels = [];
+        for (const group of groups) {
+            const label = group.userData.label;
+            const [start, end] = this.getSVGPoints(group.children[0]);
+            const tip = shown.has(group) && start.distanceTo(end) > 0.001 ? this.projectToScreen(end, width, height) : null;
+            const origin = tip && this.projectToScreen(start, width, height);
+            if (!tip || !origin) {
+                label.hidden = true;
+                continue;
+            }
+
+            const annotation = this.getLabelAnnotation(start, end);
+            const annotationSpan = label.querySelector('.vector-label-annotation');
+            if (annotationSpan.textContent !== annotation) {
+                annotationSpan.textContent = annotation;
+            }
+            label.hidden = false;
+            labels.push({ label: label, tip: tip, origin: origin });
+        }
+
+        for (const entry of labels) {
+            entry.width = entry.label.offsetWidth;
+            entry.height = entry.label.offsetHeight;
+        }
+
+        const placed = [];
+        for (const { label, tip, origin, width: labelWidth, height: labelHeight } of labels) {
+            // Continue along the arrow, far enough for the label box to clear the tip
+            const length = Math.hypot(tip.x - origin.x, tip.y - origin.y) || 1;
+            const directionX = (tip.x - origin.x) / length;
+            const directionY = (tip.y - origin.y) / length;
+            const offset = Math.abs(directionX) * labelWidth / 2 + Math.abs(directionY) * labelHeight / 2 + this.LABEL_GAP;
+
+            const box = {
+                left: tip.x + directionX * offset - labelWidth / 2,
+                top: tip.y + directionY * offset - labelHeight / 2,
+                width: labelWidth,
+                height: labelHeight
+            };
+
+            let overlapping = placed.find(other => this.boxesOverlap(box, other));
+            for (let attempts = 0; overlapping && attempts < placed.length; attempts++) {
+                box.top = overlapping.top + overlapping.height + this.LABEL_GAP;
+                overlapping = placed.find(other => this.boxesOverlap(box, other));
+            }
+            placed.push(box);
+
+            label.style.transform = `translate(${box.left.toFixed(1)}px, ${box.top.toFixed(1)}px)`;
+        }
+    }
+
+    boxesOverlap(first, second) {
+        return first.left < second.left + second.width && second.left < first.left + first.width &&
+            first.top < second.top + second.height && second.top < first.top + first.height;
+    }
+
+    toggleLabels() {
+        this.labelSettings.visible = !this.labelSettings.visible;
+        document.getElementById('toggle-labels-btn').classList.toggle('active', this.labelSettings.visible);
+        this.needsRender = true;
+    }
+
+    toggleLabelMath() {
+        this.labelSettings.math = !this.labelSettings.math;
+        document.getElementById('toggle-label-math-btn').classList.toggle('active', this.labelSettings.math);
+        this.renderLabelNames();
+    }
+
+    setLabelAnnotation(annotation) {
+        this.labelSettings.annotation = annotation;
+        this.needsRender = true;
+    }
+
+    createDashedVector(vector, color, label) {
+        const group = new THREE.Group();
+
+        // Create dashed line material
+        const dashedMaterial = new THREE.LineDashedMaterial({
+            color: color,
+            linewidth: 2,
+            scale: 1,
+            dashSize: 0.2,
+            gapSize: 0.1,
+            transparent: true,
+            opacity: 0.6
+        });
+
+        // Arrow shaft (will be positioned later)
+        const shaftGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(vector.x, vector.y, 0)
+        ]);
+        const shaft = new THREE.Line(shaftGeometry, dashedMaterial);
+        shaft.computeLineDistances(); // Required for dashed lines
+        group.add(shaft);
+
+        // Small arrow head for dashed vectors
+        const headHeight = 0.15 / 2.0
+        const headGeometry = new THREE.ConeGeometry(headHeight / 2.0, headHeight, 3);
+        const headMaterial = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.6
+        });
+        const head = new THREE.Mesh(headGeometry, headMaterial);
+        group.add(head);
+
+        group.userData = {
+            vectorType: label.toLowerCase(),
+            color: color,
+            isDashed: true
+        };
+
+        return group;
+    }
+
+    /**
+     * Creates an oriented area with a circular arrow that shows its orientation,
+     * positioned by updateParallelogram.
+     */
+    createParallelogram(vectorA, vectorB, color) {
+        const group = new THREE.Group();
+
+        // Room for a triangle fan over the most corners an outline can have
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(BIVECTOR_DISC_SEGMENTS * 9), 3));
+
+        // Create material with transparency
+        const material = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.DoubleSide
+        });
+
+        const parallelogram = new THREE.Mesh(geometry, material);
+        group.add(parallelogram);
+
+        // Add outline
+        const outlineGeometry = new THREE.BufferGeometry();
+        outlineGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(BIVECTOR_DISC_SEGMENTS * 3), 3));
+
+        const outlineMaterial = new THREE.LineBasicMaterial({
+            color: color,
+            linewidth: 2,
+            transparent: true,
+            opacity: 0.8
+        });
+
+        const outline = new THREE.LineLoop(outlineGeometry, outlineMaterial);
+        group.add(outline);
+
+        group.add(this.createArc(color, 'Circulation'));
+
+        group.userData = {
+            vectorType: 'parallelogram',
+            color: color,
+            // Negative areas take the complementary color
+            negativeColor: new THREE.Color(color).offsetHSL(0.5, 0, 0).getHex(),
+            cornerCount: 0
+        };
+
+        this.updateParallelogram(group, vectorA, vectorB);
+
+        return group;
+    }
+
+    updateVector(vectorMesh, vector) {
+        // Update shaft
+        const shaft = vectorMesh.children[0];
+        const positions = shaft.geometry.attributes.position.array;
+        positions[3] = vector.x;
+        positions[4] = vector.y;
+        shaft.geometry.attributes.position.needsUpdate = true;
+
+        // Update arrow head
+        const head = vectorMesh.children[1];
+        const angle = Math.atan2(vector.y, vector.x);
+        head.position.set(vector.x, vector.y, 0);
+        head.rotation.z = angle - Math.PI / 2;
+
+        // Update endpoint if it exists
+        if (vectorMesh.children[2]) {
+            vectorMesh.children[2].position.set(vector.x, vector.y, 0.01);
+        }
+
+        this.needsRender = true;
+    }
+
+    createArc(color, label) {
+        const group = new THREE.Group();
+
+        const segments = 64;
+        const arcGeometry = new THREE.BufferGeometry();
+        arcGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((segments + 1) * 3), 3));
+        const arcMaterial = new THREE.LineBasicMaterial({
+            color: color,
+            linewidth: 2,
+            transparent: true,
+            opacity: 0.9
+        });
+        const arc = new THREE.Line(arcGeometry, arcMaterial);
+        group.add(arc);
+
+        // Arrow head showing the direction of rotation
+        const headHeight = 0.15 / 1.5
+        const headGeometry = new THREE.ConeGeometry(headHeight / 2.0, headHeight, 3);
+        const headMaterial = new THREE.MeshBasicMaterial({ color: color });
+        const head = new THREE.Mesh(headGeometry, headMaterial);
+        group.add(head);
+
+        group.userData = {
+            vectorType: label.toLowerCase(),
+            color: color,
+            isArc: true
+        };
+
+        return group;
+    }
+
+    // A line through the origin, long enough to cross the whole grid
+    createLine(color, label, dashed) {
+        const group = new THREE.Group();
+
+        const material = dashed
+            ? new THREE.LineDashedMaterial({
+                color: color,
+                linewidth: 2,
+                scale: 1,
+                dashSize: 0.2,
+                gapSize: 0.1,
+                transparent: true,
+                opacity: 0.6
+            })
+            : new THREE.LineBasicMaterial({
+                color: color,
+                linewidth: 2,
+                transparent: true,
+                opacity: 0.6
+            });
+
+        const geometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(0, 0, 0)
+        ]);
+        const line = new THREE.Line(geometry, material);
+        group.add(line);
+
+        group.userData = {
+            vectorType: label.toLowerCase(),
+            color: color,
+            isLine: true,
+            isDashed: dashed
+        };
+
+        return group;
+    }
+
+    updateLine(lineMesh, direction) {
+        const length = Math.ceil((2 / 3) * this.MAX_DISTANCE);
+        const unit = direction.normalize();
+
+        const line = lineMesh.children[0];
+        const positions = line.geometry.attributes.position.array;
+        positions[0] = -length * unit.x;
+        positions[1] = -length * unit.y;
+        positions[3] = length * unit.x;
+        positions[4] = length * unit.y;
+        line.geometry.attributes.position.needsUpdate = true;
+        line.geometry.computeBoundingSphere();
+        if (lineMesh.userData.isDashed) {
+            line.computeLineDistances(); // Required for dashed lines
+        }
+
+        this.needsRender = true;
+    }
+
+    /**
+     * Places an arc around the origin.
+     * @param {THREE.Group} arcMesh
+     * @param {number} radius
+     * @param {number} startAngle in radians
+     * @param {number} sweepAngle in radians, positive is counterclockwise
+     */
+    updateArc(arcMesh, radius, startAngle, sweepAngle) {
+        const arc = arcMesh.children[0];
+        const positions = arc.geometry.attributes.position.array;
+        const segments = positions.length / 3 - 1;
+
+        for (let i = 0; i <= segments; i++) {
+            const angle = startAngle + sweepAngle * (i / segments);
+            positions[3 * i] = radius * Math.cos(angle);
+            positions[3 * i + 1] = radius * Math.sin(angle);
+            positions[3 * i + 2] = 0;
+        }
+        arc.geometry.attributes.position.needsUpdate = true;
+        arc.geometry.computeBoundingSphere();
+
+        // Arrow head is tangential to the end of the arc
+        const head = arcMesh.children[1];
+        const endAngle = startAngle + sweepAngle;
+        const tangentAngle = endAngle + Math.sign(sweepAngle) * Math.PI / 2;
+        head.position.set(radius * Math.cos(endAngle), radius * Math.sin(endAngle), 0);
+        head.rotation.z = tangentAngle - Math.PI / 2;
+        head.visible = Math.abs(sweepAngle) > 0.001;
+
+        // Kept for exports that draw the arc analytically
+        Object.assign(arcMesh.userData, { radius, startAngle, sweepAngle });
+
+        this.needsRender = true;
+    }
+
+    updateDashedVector(vectorMesh, startPoint, endPoint) {
+        // Update shaft
+        const shaft = vectorMesh.children[0];
+        const positions = shaft.geometry.attributes.position.array;
+        positions[0] = startPoint.x;
+        positions[1] = startPoint.y;
+        positions[3] = endPoint.x;
+        positions[4] = endPoint.y;
+        shaft.geometry.attributes.position.needsUpdate = true;
+        shaft.computeLineDistances(); // Required for dashed lines
+
+        // Update arrow head
+        const head = vectorMesh.children[1];
+        const vectorX = endPoint.x - startPoint.x;
+        const vectorY = endPoint.y - startPoint.y;
+        const angle = Math.atan2(vectorY, vectorX);
+        head.position.set(endPoint.x, endPoint.y, 0);
+        head.rotation.z = angle - Math.PI / 2;
+
+        this.needsRender = true;
+    }
+
+    /**
+     * Returns the outline of the oriented area vectorA ∧ vectorB, running counterclockwise
+     * for positive areas. The square and the disc have the same area and are centered on the parallelogram,
+     * the square lies along vectorA.
+     * @param {Vector2} vectorA
+     * @param {Vector2} vectorB
+     * @param {string} shape one of BIVECTOR_SHAPES
+     * @returns {{corners: Vector2[], inradius: number}} inradius is the largest circle that fits inside
+     */
+    getBivectorOutline(vectorA, vectorB, shape) {
+        const area = vectorA.wedge(vectorB);
+        const center = vectorA.add(vectorB).scale(0.5);
+        const sign = area < 0 ? -1 : 1;
+
+        switch (shape) {
+            case 'square': {
+                const side = Math.sqrt(Math.abs(area));
+                const u = norm2(vectorA) > 0.001 ? vectorA.normalize().scale(side) : new Vector2(side, 0);
+                const v = u.rotate().scale(sign);
+                const corner = center.sub(u.add(v).scale(0.5));
+                return { corners: [corner, corner.add(u), corner.add(u).add(v), corner.add(v)], inradius: side / 2 };
+            }
+            case 'disc': {
+                const radius = Math.sqrt(Math.abs(area) / Math.PI);
+                const corners = Array.from({ length: BIVECTOR_DISC_SEGMENTS }, (_, i) => {
+                    const angle = sign * 2 * Math.PI * i / BIVECTOR_DISC_SEGMENTS;
+                    return center.add(new Vector2(Math.cos(angle), Math.sin(angle)).scale(radius));
+                });
+                return { corners, inradius: radius };
+            }
+            default: {
+                // Half of the smaller height
+                const longest = Math.max(norm2(vectorA), norm2(vectorB));
+                return {
+                    corners: [new Vector2(0, 0), vectorA, vectorA.add(vectorB), vectorB],
+                    inradius: longest > 0 ? Math.abs(area) / longest / 2 : 0
+                };
+            }
+        }
+    }
+
+    /**
+     * Draws the oriented area vectorA ∧ vectorB in the shape of this.bivectorShape. The arrow in the middle
+     * turns counterclockwise for positive areas and clockwise for negative ones.
+     * @param {THREE.Group} parallelogramMesh created by createParallelogram
+     * @param {Vector2} vectorA
+     * @param {Vector2} vectorB
+     */
+    updateParallelogram(parallelogramMesh, vectorA, vectorB) {
+        const area = vectorA.wedge(vectorB);
+        const center = vectorA.add(vectorB).scale(0.5);
+        const { corners, inradius } = this.getBivectorOutline(vectorA, vectorB, this.bivectorShape);
+        const [parallelogram, outline, circulation] = parallelogramMesh.children;
+
+        // Triangle fan around the center, all outlines are convex
+        const positions = parallelogram.geometry.attributes.position.array;
+        corners.forEach((corner, i) => {
+            const next = corners[(i + 1) % corners.length];
+            positions.set([center.x, center.y, 0, corner.x, corner.y, 0, next.x, next.y, 0], 9 * i);
+        });
+        parallelogram.geometry.attributes.position.needsUpdate = true;
+        parallelogram.geometry.setDrawRange(0, 3 * corners.length);
+        parallelogram.geometry.computeBoundingSphere();
+
+        const outlinePositions = outline.geometry.attributes.position.array;
+        corners.forEach((corner, i) => outlinePositions.set([corner.x, corner.y, 0], 3 * i));
+        outline.geometry.attributes.position.needsUpdate = true;
+        outline.geometry.setDrawRange(0, corners.length);
+        outline.geometry.computeBoundingSphere();
+        parallelogramMesh.userData.cornerCount = corners.length;
+
+        const radius = Math.min(0.35, 0.6 * inradius);
+        circulation.position.set(center.x, center.y, 0);
+        this.updateArc(circulation, radius, Math.PI / 4, Math.sign(area) * 1.5 * Math.PI);
+        circulation.visible = radius > 0.05;
+
+        this.setMeshColor(parallelogramMesh, area < 0 ? parallelogramMesh.userData.negativeColor : parallelogramMesh.userData.color);
+
+        this.needsRender = true;
+    }
+
+    setBivectorShape(shape) {
+        if (!BIVECTOR_SHAPES.includes(shape)) return;
+
+        this.bivectorShape = shape;
+        this.updateVectors();
+    }
+
+    updateVectors() {
+        for (const namedVector of this.state.vector.vectors) {
+            this.updateVector(this.vectorMeshes.get(namedVector.name), namedVector.vector);
+        }
+
+        // Constructions are only drawn if the vectors they are built from exist
+        const { A, B, C } = this.state.vector;
+
+        if (B) {
+            this.updateVector(this.vectorBRotMesh, B.rotate());
+        }
+
+        if (A && B) {
+            this.updateParallelogram(this.wedgeMesh, A, B);
+            this.updateParallelogram(this.dotMesh, A, B.rotate());
+
+            // Update dashed vectors for parallelogram construction
+            const vectorSum = A.add(B);
+            // Vector A dashed: from tip of B to tip of Sum
+            this.updateDashedVector(
+                this.vectorADashedMeshWedge,
+                { x: B.x, y: B.y },
+                { x: vectorSum.x, y: vectorSum.y }
+            );
+
+            // Vector B dashed: from tip of A to tip of Sum
+            this.updateDashedVector(
+                this.vectorBDashedMesh,
+                { x: A.x, y: A.y },
+                { x: vectorSum.x, y: vectorSum.y }
+            );
+
+            const vectorSumRot = A.add(B.rotate());
+
+            this.updateDashedVector(
+                this.vectorADashedMeshDot,
+                { x: B.rotate().x, y: B.rotate().y },
+                { x: vectorSumRot.x, y: vectorSumRot.y }
+            );
+
+            this.updateDashedVector(
+                this.vectorBRotDashedMesh,
+                { x: A.x, y: A.y },
+                { x: vectorSumRot.x, y: vectorSumRot.y }
+            );
+        }
+
+        if (A && B) {
+            // The rotor AB = |A||B| e^(θI) turns A towards B by θ
+            const theta = Math.atan2(A.wedge(B), A.dot(B));
+            const radius = Math.min(1, 0.5 * Math.min(norm2(A), norm2(B)));
+            this.updateArc(this.rotorArcMesh, radius, Math.atan2(A.y, A.x), theta);
+        }
+
+        if (A && B && C) {
+            this.updateVector(this.vectorProdABCMesh, geometricProduct(A, B, C).toVector());
+            this.updateVector(this.vectorProdCABMesh, geometricProduct(C, A, B).toVector());
+
+            // R C R~ = |A|²|B|² C e^(-2θI), so C is turned by twice the angle of the rotor in the opposite direction
+            const theta = Math.atan2(A.wedge(B), A.dot(B));
+            this.updateVector(this.sandwichMesh, this.getSandwichProduct().toVector());
+            this.updateArc(this.sandwichArcMesh, Math.min(1.5, 0.75 * norm2(C)), Math.atan2(C.y, C.x), -2 * theta);
+        }
+
+        this.reflection = A && C ? this.getReflection(C, A) : null;
+        this.doubleReflection = this.reflection && B ? this.getReflection(this.reflection, B) : null;
+
+        if (this.reflection) {
+            this.updateLine(this.mirrorLineMesh, A);
+            this.updateLine(this.mirrorPerpLineMesh, A.rotate());
+            this.updateVector(this.reflectMesh, this.reflection);
+            this.updateDashedVector(
+                this.reflectDashedMesh,
+                { x: C.x, y: C.y },
+                { x: this.reflection.x, y: this.reflection.y }
+            );
+        }
+
+        if (this.doubleReflection) {
+            // Reflecting in A and then in B rotates C by twice the angle from A to B
+            const theta = Math.atan2(A.wedge(B), A.dot(B));
+            this.updateLine(this.reflect2MirrorLineMesh, B);
+            this.updateVector(this.reflect2Mesh, this.doubleReflection);
+            this.updateDashedVector(
+                this.reflect2DashedMesh,
+                { x: this.reflection.x, y: this.reflection.y },
+                { x: this.doubleReflection.x, y: this.doubleReflection.y }
+            );
+            this.updateArc(this.reflect2ArcMesh, Math.min(1.25, 0.6 * norm2(C)), Math.atan2(C.y, C.x), 2 * theta);
+        }
+
+        const decomposition = A && C ? this.getDecomposition(C, A) : null;
+        this.projection = decomposition?.projection ?? null;
+        this.rejection = decomposition?.rejection ?? null;
+
+        if (decomposition) {
+            this.updateVector(this.projectMesh, this.projection);
+            this.updateVector(this.rejectMesh, this.rejection);
+
+            // Drop lines from the tip of C meet the projection and rejection at a right angle
+            this.updateDashedVector(
+                this.projectDashedMesh,
+                { x: C.x, y: C.y },
+                { x: this.projection.x, y: this.projection.y }
+            );
+            this.updateDashedVector(
+                this.rejectDashedMesh,
+                { x: C.x, y: C.y },
+                { x: this.rejection.x, y: this.rejection.y }
+            );
+        }
+
+        this.updateExpression();
+
+        this.updateUI();
+        this.recordChartSample();
+        this.checkExercise();
+    }
+
+    updateUI() {
+        // Update LaTeX vector displays and norms of the user vectors
+        for (const namedVector of this.state.vector.vectors) {
+            const name = namedVector.name;
+            this.updateVectorDisplay(`vector-${name}-display`, namedVector.vector.x, namedVector.vector.y);
+            this.updateVectorNormDisplay(`vector-${name}-norm-display`, namedVector.vector, name);
+        }
+
+        const { A, B, C } = this.state.vector;
+
+        if (B) {
+            this.updateVectorDisplay('vector-brot-display', B.rotate().x, B.rotate().y);
+        } else {
+            this.updateUnavailableDisplay('vector-brot-display');
+        }
+
+        if (A && B) {
+            this.updateWedgeDisplay('wedge-a-b-display', A, B);
+            this.updateDotDisplay('dot-a-b-display', A, B)
+        } else {
+            this.updateUnavailableDisplay('wedge-a-b-display');
+            this.updateUnavailableDisplay('dot-a-b-display');
+        }
+
+        if (A && B) {
+            this.updateRotorDisplay('rotor-a-b-display', A, B);
+        } else {
+            this.updateUnavailableDisplay('rotor-a-b-display');
+        }
+
+        if (A && B && C) {
+            const sandwich = this.getSandwichProduct().toVector();
+            this.updateVectorDisplay('sandwich-display', sandwich.x, sandwich.y);
+            this.updateSandwichAngleDisplay('sandwich-angle-display', A, B);
+        } else {
+            this.updateUnavailableDisplay('sandwich-display');
+            this.updateUnavailableDisplay('sandwich-angle-display');
+        }
+
+        if (this.reflection) {
+            this.updateVectorDisplay('reflect-display', this.reflection.x, this.reflection.y);
+        } else {
+            this.updateUnavailableDisplay('reflect-display');
+        }
+
+        if (this.doubleReflection) {
+            this.updateVectorDisplay('reflect2-display', this.doubleReflection.x, this.doubleReflection.y);
+            this.updateReflect2AngleDisplay('reflect2-angle-display', A, B);
+        } else {
+            this.updateUnavailableDisplay('reflect2-display');
+            this.updateUnavailableDisplay('reflect2-angle-display');
+        }
+
+        if (this.projection) {
+            this.updateVectorDisplay('project-display', this.projection.x, this.projection.y);
+            this.updateVectorDisplay('reject-display', this.rejection.x, this.rejection.y);
+        } else {
+            this.updateUnavailableDisplay('project-display');
+            this.updateUnavailableDisplay('reject-display');
+        }
+
+        if (A && B && C) {
+            const prodABC = geometricProduct(A, B, C).toVector();
+            const prodCAB = geometricProduct(C, A, B).toVector();
+
+            this.updateVectorDisplay('prodABC-display', prodABC.x, prodABC.y);
+            this.updateVectorDisplay('prodCAB-display', prodCAB.x, prodCAB.y);
+            this.updateProdNormDisplay('prodABC-norm-display', A, B, C, '\\vec{a}\\vec{b}\\vec{c}', 'abc');
+            this.updateProdNormDisplay('prodCAB-norm-display', C, A, B, '\\vec{c}\\vec{a}\\vec{b}', 'cab');
+        } else {
+            this.updateUnavailableDisplay('prodABC-display');
+            this.updateUnavailableDisplay('prodCAB-display');
+            this.updateUnavailableDisplay('prodABC-norm-display');
+            this.updateUnavailableDisplay('prodCAB-norm-display');
+        }
+
+        this.updateExpressionDisplay('expression-display');
+    }
+
+    // Shown in place of constructions whose vectors a, b or c were removed or renamed
+    updateUnavailableDisplay(elementId) {
+        const element = document.getElementById(elementId);
+        element.textContent = '—';
+        element.title = 'Requires the vectors a, b and c';
+        this.panelLatex.delete(elementId);
+    }
+
+    setExpression(source) {
+        try {
+            this.expression = new Expression(source);
+            this.expressionError = null;
+        } catch (error) {
+            if (!(error instanceof ExpressionError)) throw error;
+            this.expression = null;
+            this.expressionError = error.message;
+        }
+
+        this.updateVectors();
+    }
+
+    // Returns R C R~ for the rotor R = AB
+    getSandwichProduct() {
+        const { A, B, C } = this.state.vector;
+        const rotor = geometricProduct(A, B);
+        return rotor.mul(C.toMultivector()).mul(rotor.reverse());
+    }
+
+    /**
+     * Returns M V M⁻¹, the reflection of V in the line through M.
+     * @param {Vector2} vector
+     * @param {Vector2} mirror
+     * @returns {Vector2|null} null if mirror is zero and thus not invertible
+     */
+    getReflection(vector, mirror) {
+        if (norm2(mirror) < 0.001) return null;
+
+        const m = mirror.toMultivector();
+        return m.mul(vector.toMultivector()).mul(m.inverse()).toVector();
+    }
+
+    /**
+     * Splits V into the parts parallel and orthogonal to M, V = (V·M)M⁻¹ + (V∧M)M⁻¹.
+     * @param {Vector2} vector
+     * @param {Vector2} onto
+     * @returns {{projection: Vector2, rejection: Vector2}|null} null if onto is zero and thus not invertible
+     */
+    getDecomposition(vector, onto) {
+        if (norm2(onto) < 0.001) return null;
+
+        const v = vector.toMultivector();
+        const o = onto.toMultivector();
+        const inverse = o.inverse();
+
+        return {
+            projection: Multivector2.scalar(vector.dot(onto)).mul(inverse).toVector(),
+            rejection: v.wedge(o).mul(inverse).toVector()
+        };
+    }
+
+    animateSandwich() {
+        if (!this.state.vector.has('a') || !this.state.vector.has('b') || !this.state.vector.has('c')) return;
+
+        this.sandwichAnimationStart = performance.now();
+        this.sandwichAnimationMesh.visible = true;
+    }
+
+    updateSandwichAnimation(time) {
+        const { A, B, C } = this.state.vector;
+        const t = Math.min(1, (time - this.sandwichAnimationStart) / this.SANDWICH_ANIMATION_DURATION);
+
+        if (t >= 1 || !A || !B || !C) {
+            this.sandwichAnimationStart = null;
+            this.sandwichAnimationMesh.visible = false;
+            this.needsRender = true;
+            return;
+        }
+
+        // Interpolate in polar form, so C sweeps through the full angle -2θ
+        const theta = Math.atan2(A.wedge(B), A.dot(B));
+        const angle = Math.atan2(C.y, C.x) - 2 * theta * t;
+        const length = norm2(C) * Math.pow(norm2(A) * norm2(B), 2 * t);
+        this.updateVector(this.sandwichAnimationMesh, new Vector2(length * Math.cos(angle), length * Math.sin(angle)));
+    }
+
+    getExpressionVariables() {
+        return Object.fromEntries(this.state.vector.vectors.map(v => [v.name, v.vector]));
+    }
+
+    updateExpression() {
+        this.expressionResult = null;
+
+        if (this.expression) {
+            try {
+                this.expressionResult = this.expression.evaluate(this.getExpressionVariables());
+                this.expressionError = null;
+            } catch (error) {
+                if (!(error instanceof ExpressionError)) throw error;
+                this.expressionError = error.message;
+            }
+        }
+
+        if (this.expressionResult) {
+            this.updateVector(this.expressionVectorMesh, this.expressionResult.toVector());
+
+            // Draw the bivector part as a square with the same signed area, or a disc if those are chosen
+            const side = Math.sqrt(Math.abs(this.expressionResult.e12));
+            this.updateParallelogram(
+                this.expressionBivectorMesh,
+                new Vector2(side, 0),
+                new Vector2(0, Math.sign(this.expressionResult.e12) * side)
+            );
+        }
+
+        this.updateMeshVisibility();
+    }
+
+    updateExpressionDisplay(elementId) {
+        const element = document.getElementById(elementId);
+        const input = document.getElementById('expression-input');
+
+        input.classList.toggle('invalid', this.expressionError !== null);
+
+        if (this.expressionError !== null) {
+            element.classList.add('expression-error');
+            element.textContent = this.expressionError;
+            this.panelLatex.delete(elementId);
+            return;
+        }
+        element.classList.remove('expression-error');
+
+        const latex = `= ${formatMultivectorLatex(this.expressionResult)}`;
+        const fallback = `= ${formatMultivectorText(this.expressionResult)}`;
+
+        this.panelLatex.set(elementId, latex);
+
+        // Re-render MathJax if available
+        if (window.MathJax?.typesetPromise) {
+            element.innerHTML = `$${latex}$`;
+            window.MathJax.typesetPromise([element]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+                // Fallback to simple text display
+                element.textContent = fallback;
+            });
+        } else {
+            // Fallback for when MathJax isn't loaded
+            element.textContent = fallback;
+        }
+    }
+
+    updateVectorDisplay(elementId, x, y) {
+        const element = document.getElementById(elementId);
+
+        const numbers = element.querySelectorAll('.draggable-number');
+        if (numbers.length > 0) {
+            // User vectors show draggable numbers, either their coordinates or their length and angle
+            for (const number of numbers) {
+                const component = number.getAttribute('data-component');
+                const value = this.getVectorComponentValue(number.getAttribute('data-vector'), component);
+                number.textContent = this.formatVectorComponent(component, value);
+                number.setAttribute('aria-valuenow', value.toFixed(2));
+            }
+            return;
+        }
+
+        // Fallback to LaTeX format for computed vectors
+        const latex = `\\begin{pmatrix} ${x.toFixed(2)} \\\\ ${y.toFixed(2)} \\end{pmatrix}`;
+
+        this.panelLatex.set(elementId, latex);
+
+        // Re-render MathJax if available
+        if (window.MathJax?.typesetPromise) {
+            element.innerHTML = `\\(${latex}\\)`;
+            window.MathJax.typesetPromise([element]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+                // Fallback to simple parentheses display
+                element.innerHTML = `<div class="vector-fallback">
+                    <span>(</span>
+                    <div class="vector-coords">
+                        <span>${x.toFixed(2)}</span>
+                        <span>${y.toFixed(2)}</span>
+                    </div>
+                    <span>)</span>
+                </div>`;
+            });
+        } else {
+            // Fallback for when MathJax isn't loaded
+            element.innerHTML = `<div class="vector-fallback">
+                <span>(</span>
+                <div class="vector-coords">
+                    <span>${x.toFixed(1)}</span>
+                    <span>${y.toFixed(1)}</span>
+                </div>
+                <span>)</span>
+            </div>`;
+        }
+    }
+
+    updateDotDisplay(elementId, vectorA, vectorB) {
+        const element = document.getElementById(elementId);
+
+        const dot = vectorA.dot(vectorB);
+
+        // Update the entire LaTeX expression
+        const latex = `\\vec{a}\\cdot\\vec{b}I = \\vec{a}\\wedge\\vec{b}_\\perp = ${dot.toFixed(2)} I`;
+
+        this.panelLatex.set(elementId, latex);
+
+        // Re-render MathJax if available
+        if (window.MathJax?.typesetPromise) {
+            element.innerHTML = `$${latex}$`;
+            window.MathJax.typesetPromise([element]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+                // Fallback to simple text display
+                element.innerHTML = `a.bI = ${dot.toFixed(2)} I`;
+            });
+        } else {
+            // Fallback for when MathJax isn't loaded
+            element.innerHTML = `a.bI = ${dot.toFixed(2)} I`;
+        }
+    }
+
+    updateWedgeDisplay(elementId, vectorA, vectorB) {
+        const element = document.getElementById(elementId);
+
+        const wedge = vectorA.wedge(vectorB);
+
+        // Update the entire LaTeX expression
+        const latex = `\\vec{a}\\wedge\\vec{b} = ${wedge.toFixed(2)} I`;
+
+        this.panelLatex.set(elementId, latex);
+
+        // Re-render MathJax if available
+        if (window.MathJax?.typesetPromise) {
+            element.innerHTML = `$${latex}$`;
+            window.MathJax.typesetPromise([element]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+                // Fallback to simple text display
+                element.innerHTML = `a∧b = ${wedge.toFixed(2)} I`;
+            });
+        } else {
+            // Fallback for when MathJax isn't loaded
+            element.innerHTML = `a∧b = ${wedge.toFixed(2)} I`;
+        }
+    }
+
+    updateRotorDisplay(elementId, vectorA, vectorB) {
+        const element = document.getElementById(elementId);
+
+        const magnitude = norm2(vectorA) * norm2(vectorB);
+        const angle = Math.atan2(vectorA.wedge(vectorB), vectorA.dot(vectorB)) * 180 / Math.PI;
+
+        const latex = `\\vec{a}\\vec{b} = ${magnitude.toFixed(2)}\\, e^{${angle.toFixed(2)}^\\circ I}`;
+
+        this.panelLatex.set(elementId, latex);
+
+        // Re-render MathJax if available
+        if (window.MathJax?.typesetPromise) {
+            element.innerHTML = `$${latex}$`;
+            window.MathJax.typesetPromise([element]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+                // Fallback to simple text display
+                element.innerHTML = `ab = ${magnitude.toFixed(2)} e^(${angle.toFixed(2)}° I)`;
+            });
+        } else {
+            // Fallback for when MathJax isn't loaded
+            element.innerHTML = `ab = ${magnitude.toFixed(2)} e^(${angle.toFixed(2)}° I)`;
+        }
+    }
+
+    updateSandwichAngleDisplay(elementId, vectorA, vectorB) {
+        const element = document.getElementById(elementId);
+
+        const scale = Math.pow(norm2(vectorA) * norm2(vectorB), 2);
+        const angle = -2 * Math.atan2(vectorA.wedge(vectorB), vectorA.dot(vectorB)) * 180 / Math.PI;
+
+        const latex = `-2\\theta = ${angle.toFixed(2)}^\\circ,\\ \\|R\\|^2 = ${scale.toFixed(2)}`;
+
+        this.panelLatex.set(elementId, latex);
+
+        // Re-render MathJax if available
+        if (window.MathJax?.typesetPromise) {
+            element.innerHTML = `$${latex}$`;
+            window.MathJax.typesetPromise([element]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+                // Fallback to simple text display
+                element.innerHTML = `-2θ = ${angle.toFixed(2)}°, ||R||² = ${scale.toFixed(2)}`;
+            });
+        } else {
+            // Fallback for when MathJax isn't loaded
+            element.innerHTML = `-2θ = ${angle.toFixed(2)}°, ||R||² = ${scale.toFixed(2)}`;
+        }
+    }
+
+    updateReflect2AngleDisplay(elementId, vectorA, vectorB) {
+        const element = document.getElementById(elementId);
+
+        const angle = 2 * Math.atan2(vectorA.wedge(vectorB), vectorA.dot(vectorB)) * 180 / Math.PI;
+
+        const latex = `= \\vec{c}\\, e^{2\\theta I},\\ 2\\theta = ${angle.toFixed(2)}^\\circ`;
+
+        this.panelLatex.set(elementId, latex);
+
+        // Re-render MathJax if available
+        if (window.MathJax?.typesetPromise) {
+            element.innerHTML = `$${latex}$`;
+            window.MathJax.typesetPromise([element]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+                // Fallback to simple text display
+                element.innerHTML = `= c e^(2θ I), 2θ = ${angle.toFixed(2)}°`;
+            });
+        } else {
+            // Fallback for when MathJax isn't loaded
+            element.innerHTML = `= c e^(2θ I), 2θ = ${angle.toFixed(2)}°`;
+        }
+    }
+
+    updateProdNormDisplay(elementId, vectorA, vectorB, vectorC, latexName, fallbackName) {
+        const element = document.getElementById(elementId);
+
+        const norm = geometricProduct(vectorA, vectorB, vectorC).norm();
+
+        const latex = `\\|${latexName}\\| = ${norm.toFixed(2)}`;
+
+        this.panelLatex.set(elementId, latex);
+
+        // Re-render MathJax if available
+        if (window.MathJax?.typesetPromise) {
+            element.innerHTML = `$${latex}$`;
+            window.MathJax.typesetPromise([element]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+                // Fallback to simple text display
+                element.innerHTML = `||${fallbackName}|| = ${norm.toFixed(2)}`;
+            });
+        } else {
+            // Fallback for when MathJax isn't loaded
+            element.innerHTML = `||${fallbackName}|| = ${norm.toFixed(2)}`;
+        }
+    }
+
+    updateVectorNormDisplay(elementId, vector, vectorName) {
+        const element = document.getElementById(elementId);
+        const norm = norm2(vector);
+
+        // Update the entire LaTeX expression
+        const latex = `\\|\\vec{${vectorName}}\\| = ${norm.toFixed(2)}`;
+
+        this.panelLatex.set(elementId, latex);
+
+        // Re-render MathJax if available
+        if (window.MathJax?.typesetPromise) {
+            element.innerHTML = `$${latex}$`;
+            window.MathJax.typesetPromise([element]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+                // Fallback to simple text display
+                element.innerHTML = `||${vectorName}|| = ${norm.toFixed(2)}`;
+            });
+        } else {
+            // Fallback for when MathJax isn't loaded
+            element.innerHTML = `||${vectorName}|| = ${norm.toFixed(2)}`;
+        }
+    }
+
+    getChartValues(A, B, C) {
+        const values = {};
+        for (const series of CHART_SERIES) {
+            values[series.key] = series.value(A, B, C);
+        }
+        return values;
+    }
+
+    recordChartSample(time = performance.now()) {
+        const { A, B, C } = this.state.vector;
+        const values = A && B ? this.getChartValues(A, B, C) : null;
+
+        const samples = this.chart.samples;
+        const last = samples[samples.length - 1];
+        if (last && CHART_SERIES.every(series => last.values?.[series.key] === values?.[series.key])) return;
+
+        samples.push({ time, values });
+        // One sample from before the window is kept, it holds the value at the left edge
+        while (samples.length > 1 && samples[1].time < time - this.CHART_WINDOW) {
+            samples.shift();
+        }
+        this.chartNeedsRender = true;
+    }
+
+    clearChart() {
+        this.chart.samples = [];
+        this.recordChartSample();
+        this.chartNeedsRender = true;
+    }
+
+    setChartAxis(axis) {
+        this.chart.axis = axis;
+        document.getElementById('chart-clear-btn').disabled = axis !== 'time';
+        this.chartNeedsRender = true;
+    }
+
+    toggleChartSeries(key, visible) {
+        if (visible) {
+            this.chart.hidden.delete(key);
+        } else {
+            this.chart.hidden.add(key);
+        }
+        this.chartNeedsRender = true;
+    }
+
+    // Each value holds until the next sample, x is the time in milliseconds relative to now
+    getChartTimeCurves(time) {
+        const samples = this.chart.samples;
+        const curves = new Map(CHART_SERIES.map(series => [series.key, []]));
+
+        samples.forEach((sample, index) => {
+            const start = Math.max(sample.time - time, -this.CHART_WINDOW);
+            const end = index + 1 < samples.length ? samples[index + 1].time - time : 0;
+            for (const [key, points] of curves) {
+                const value = sample.values?.[key] ?? null;
+                points.push({ x: start, y: value }, { x: end, y: value });
+            }
+        });
+
+        return {
+            curves,
+            minX: -this.CHART_WINDOW,
+            maxX: 0,
+            ticks: [
+                { x: -this.CHART_WINDOW, label: `-${this.CHART_WINDOW / 1000} s` },
+                { x: 0, label: 'now' }
+            ],
+            marker: null
+        };
+    }
+
+    // Sweeps b around a at its current length, x is the angle from a to b in radians
+    getChartAngleCurves() {
+        const { A, B, C } = this.state.vector;
+        const curves = new Map(CHART_SERIES.map(series => [series.key, []]));
+        let marker = null;
+
+        if (A && B && norm2(A) > 0 && norm2(B) > 0) {
+            const direction = A.normalize().scale(norm2(B));
+            for (let i = 0; i <= this.CHART_ANGLE_SAMPLES; i++) {
+                const angle = -Math.PI + 2 * Math.PI * i / this.CHART_ANGLE_SAMPLES;
+                const values = this.getChartValues(A, direction.rotateBy(angle), C);
+                for (const [key, points] of curves) {
+                    points.push({ x: angle, y: values[key] });
+                }
+            }
+            // The angle itself jumps from π to -π, its ends would be joined across the chart
+            curves.get('angle')[this.CHART_ANGLE_SAMPLES].y = null;
+
+            marker = { x: Math.atan2(A.wedge(B), A.dot(B)), values: this.getChartValues(A, B, C) };
+        }
+
+        return {
+            curves,
+            minX: -Math.PI,
+            maxX: Math.PI,
+            ticks: [
+                { x: -Math.PI, label: '-180°' },
+                { x: 0, label: '0°' },
+                { x: Math.PI, label: '180°' }
+            ],
+            marker
+        };
+    }
+
+    // Redraws the chart every frame while the history scrolls through it
+    updateChart(time) {
+        const last = this.chart.samples[this.chart.samples.length - 1];
+        const isScrolling = this.chart.axis === 'time' && last && time - last.time < this.CHART_WINDOW;
+
+        if (this.chartNeedsRender || isScrolling) {
+            this.renderChart(time);
+            this.chartNeedsRender = false;
+        }
+    }
+
+    renderChart(time = performance.now()) {
+        const canvas = document.getElementById('chart-canvas');
+        const context = canvas.getContext('2d');
+        if (!context) return;
+
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const pixelRatio = window.devicePixelRatio || 1;
+        if (canvas.width !== Math.round(width * pixelRatio) || canvas.height !== Math.round(height * pixelRatio)) {
+            canvas.width = Math.round(width * pixelRatio);
+            canvas.height = Math.round(height * pixelRatio);
+        }
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        if (!this.chart.colors) {
+            this.chart.colors = new Map(CHART_SERIES.map(series => [series.key, colorToHex(this.getCSSColor(series.cssVariable))]));
+        }
+        const style = getComputedStyle(document.documentElement);
+        const borderColor = style.getPropertyValue('--color-border').trim();
+        const textColor = style.getPropertyValue('--color-text-muted').trim();
+        context.font = `11px ${style.getPropertyValue('--font-family-mono').trim()}`;
+
+        const { curves, minX, maxX, ticks, marker } = this.chart.axis === 'angle'
+            ? this.getChartAngleCurves()
+            : this.getChartTimeCurves(time);
+
+        const visibleCurves = [...curves].filter(([key, points]) =>
+            !this.chart.hidden.has(key) && points.some(point => point.y !== null));
+        if (visibleCurves.length === 0) {
+            context.fillStyle = textColor;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText('Requires the vectors a and b', width / 2, height / 2);
+            return;
+        }
+
+        // The value range always includes zero, so that the sign of the values is visible
+        let minY = 0;
+        let maxY = 0;
+        for (const [, points] of visibleCurves) {
+            for (const { y } of points) {
+                if (y === null) continue;
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+        if (maxY - minY < 1e-9) maxY = minY + 1;
+        const padding = (maxY - minY) * 0.1;
+        minY -= padding;
+        maxY += padding;
+
+        const left = 44;
+        const right = width - 8;
+        const top = 8;
+        const bottom = height - 20;
+        const toX = x => left + (x - minX) / (maxX - minX) * (right - left);
+        const toY = y => bottom - (y - minY) / (maxY - minY) * (bottom - top);
+
+        // Frame, zero line and tick labels
+        context.strokeStyle = borderColor;
+        context.lineWidth = 1;
+        context.strokeRect(left, top, right - left, bottom - top);
+        context.beginPath();
+        context.moveTo(left, toY(0));
+        context.lineTo(right, toY(0));
+        context.stroke();
+
+        context.fillStyle = textColor;
+        context.textAlign = 'right';
+        context.textBaseline = 'middle';
+        for (const y of [maxY - padding, 0, minY + padding]) {
+            context.fillText(y.toFixed(2), left - 4, toY(y));
+        }
+        context.textBaseline = 'top';
+        ticks.forEach((tick, index) => {
+            context.textAlign = index === 0 ? 'left' : index === ticks.length - 1 ? 'right' : 'center';
+            context.fillText(tick.label, toX(tick.x), bottom + 4);
+        });
+
+        // Curves, broken where a value is missing
+        context.lineWidth = 2;
+        for (const [key, points] of visibleCurves) {
+            context.strokeStyle = this.chart.colors.get(key);
+            context.beginPath();
+            let isDrawing = false;
+            for (const point of points) {
+                if (point.y === null) {
+                    isDrawing = false;
+                } else if (isDrawing) {
+                    context.lineTo(toX(point.x), toY(point.y));
+                } else {
+                    context.moveTo(toX(point.x), toY(point.y));
+                    isDrawing = true;
+                }
+            }
+            context.stroke();
+        }
+
+        // Current angle between a and b with the values at it
+        if (marker) {
+            context.strokeStyle = textColor;
+            context.lineWidth = 1;
+            context.setLineDash([4, 4]);
+            context.beginPath();
+            context.moveTo(toX(marker.x), top);
+            context.lineTo(toX(marker.x), bottom);
+            context.stroke();
+            context.setLineDash([]);
+
+            for (const [key] of visibleCurves) {
+                if (marker.values[key] === null) continue;
+                context.fillStyle = this.chart.colors.get(key);
+                context.beginPath();
+                context.arc(toX(marker.x), toY(marker.values[key]), 4, 0, 2 * Math.PI);
+                context.fill();
+            }
+        }
+    }
+
+    updateMeshVisibility() {
+        for (const [name, mesh] of this.vectorMeshes) {
+            mesh.visible = this.state.visibility[name];
+        }
+
+        const hasB = this.state.vector.has('b');
+        const hasAB = this.state.vector.has('a') && hasB;
+        const hasABC = hasAB && this.state.vector.has('c');
+
+        this.vectorBRotMesh.visible = hasB && this.state.visibility.brot;
+
+        this.dotMesh.visible = hasAB && this.state.visibility.dot;
+
+        this.wedgeMesh.visible = hasAB && this.state.visibility.wedge;
+
+        // The dashed sides only belong to the parallelograms
+        const hasSides = hasAB && this.bivectorShape === 'parallelogram';
+
+        this.vectorADashedMeshWedge.visible = hasSides && this.state.visibility.wedge && this.state.visibility.a;
+
+        this.vectorBDashedMesh.visible = hasSides && this.state.visibility.wedge && this.state.visibility.b;
+
+        this.vectorADashedMeshDot.visible = hasSides && this.state.visibility.dot && this.state.visibility.a;
+
+        this.vectorBRotDashedMesh.visible = hasSides && this.state.visibility.dot && this.state.visibility.brot;
+
+        this.vectorProdABCMesh.visible = hasABC && this.state.visibility.prodABC;
+
+        this.vectorProdCABMesh.visible = hasABC && this.state.visibility.prodCAB;
+
+        this.rotorArcMesh.visible = hasAB && this.state.visibility.rotor;
+
+        this.sandwichMesh.visible = hasABC && this.state.visibility.sandwich;
+
+        this.sandwichArcMesh.visible = hasABC && this.state.visibility.sandwich;
+
+        const hasReflection = this.reflection !== null;
+        const hasDoubleReflection = this.doubleReflection !== null;
+
+        this.mirrorLineMesh.visible = hasReflection && this.state.visibility.reflect;
+
+        this.mirrorPerpLineMesh.visible = hasReflection && this.state.visibility.mirrorPerp;
+
+        this.reflectMesh.visible = hasReflection && this.state.visibility.reflect;
+
+        this.reflectDashedMesh.visible = hasReflection && this.state.visibility.reflect && this.state.visibility.c;
+
+        this.reflect2MirrorLineMesh.visible = hasDoubleReflection && this.state.visibility.reflect2;
+
+        this.reflect2Mesh.visible = hasDoubleReflection && this.state.visibility.reflect2;
+
+        this.reflect2DashedMesh.visible = hasDoubleReflection && this.state.visibility.reflect2;
+
+        this.reflect2ArcMesh.visible = hasDoubleReflection && this.state.visibility.reflect2;
+
+        const hasDecomposition = this.projection !== null;
+
+        this.projectMesh.visible = hasDecomposition && this.state.visibility.project;
+
+        this.projectDashedMesh.visible = hasDecomposition && this.state.visibility.project && this.state.visibility.c;
+
+        this.rejectMesh.visible = hasDecomposition && this.state.visibility.reject;
+
+        this.rejectDashedMesh.visible = hasDecomposition && this.state.visibility.reject && this.state.visibility.c;
+
+        this.expressionVectorMesh.visible = this.state.visibility.expression && this.expressionResult !== null &&
+            norm2(this.expressionResult.toVector()) > 0.001;
+
+        this.expressionBivectorMesh.visible = this.state.visibility.expression && this.expressionResult !== null &&
+            Math.abs(this.expressionResult.e12) > 0.001;
+
+        this.schedulePermalinkUpdate();
+        this.scheduleAnnouncement();
+
+        this.needsRender = true;
+    }
+
+    updateCanvasSize() {
+        const container = document.querySelector('.canvas-container');
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+
+        this.renderer.setSize(width, height);
+
+        const aspect = width / height;
+        this.perspectiveCamera.aspect = aspect;
+        this.perspectiveCamera.updateProjectionMatrix();
+        this.updateOrthographicFrustum();
+
+        this.needsRender = true;
+    }
+
+    // Shows the same part of the plane as the perspective camera at the current distance
+    updateOrthographicFrustum() {
+        const halfHeight = this.cameraDistance * Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov / 2));
+        const halfWidth = halfHeight * this.perspectiveCamera.aspect;
+
+        this.orthographicCamera.left = -halfWidth;
+        this.orthographicCamera.right = halfWidth;
+        this.orthographicCamera.top = halfHeight;
+        this.orthographicCamera.bottom = -halfHeight;
+        this.orthographicCamera.updateProjectionMatrix();
+    }
+
+    updateCameraPosition() {
+        const position = new THREE.Vector3(0, 0, this.cameraDistance);
+
+        position.applyAxisAngle(new THREE.Vector3(1, 0, 0), this.cameraRotationX);
+        position.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.cameraRotationY);
+        position.add(this.cameraTarget);
+
+        this.camera.position.copy(position);
+        this.camera.lookAt(this.cameraTarget);
+        this.camera.updateMatrixWorld();
+
+        // Zooming the orthographic camera changes its frustum, not its distance
+        if (this.isOrthographic) {
+            this.updateOrthographicFrustum();
+        }
+
+        // Hide Z-axis when camera is close to top-down view
+        this.updateZAxisVisibility();
+
+        this.schedulePermalinkUpdate();
+
+        this.needsRender = true;
+    }
+
+    updateZAxisVisibility() {
+        if (this.axesMesh && this.axesMesh.children.length >= 3) {
+            const zAxis = this.axesMesh.children[2]; // Z-axis is the third child
+            const rotationThreshold = 0.1; // Radians
+            
+            zAxis.visible = Math.abs(this.cameraRotationX) > rotationThreshold || 
+                                  Math.abs(this.cameraRotationY) > rotationThreshold;
+        }
+    }
+
+    updateVisibility(target, vectorType) {
+        // Update the UI color circle appearance
+        if (this.state.visibility[vectorType]) {
+            target.classList.remove('hidden');
+        } else {
+            target.classList.add('hidden');
+        }
+        target.setAttribute('aria-pressed', String(Boolean(this.state.visibility[vectorType])));
+    }
+
+    setupEventListeners() {
+        // Pointer events cover mouse, pen and touch
+        this.canvas.addEventListener('pointerdown', this.onPointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.onPointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.onPointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.onPointerCancel.bind(this));
+        this.canvas.addEventListener('wheel', this.onWheel.bind(this));
+
+        this.canvas.addEventListener('keydown', this.onCanvasKeyDown.bind(this));
+
+        // Prevent context menu
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        // Endpoint handles (delegated, since they are rebuilt with the vectors)
+        document.getElementById('vector-handles').addEventListener('keydown', (e) => {
+            const handle = e.target.closest('[data-vector-handle]');
+            if (handle) {
+                this.onVectorHandleKeyDown(e, handle.getAttribute('data-vector-handle'));
+            }
+        });
+
+        // Window resize
+        window.addEventListener('resize', this.onWindowResize.bind(this));
+
+        // Control buttons
+        document.getElementById('reset-btn').addEventListener('click', this.resetVectors.bind(this));
+        document.getElementById('toggle-grid').addEventListener('click', this.toggleGrid.bind(this));
+        document.getElementById('toggle-unit-circle').addEventListener('click', this.toggleUnitCircle.bind(this));
+        document.getElementById('toggle-labels-btn').addEventListener('click', this.toggleLabels.bind(this));
+        document.getElementById('toggle-label-math-btn').addEventListener('click', this.toggleLabelMath.bind(this));
+        document.getElementById('label-annotation').addEventListener('change', (e) => this.setLabelAnnotation(e.target.value));
+
+        // Expression input
+        document.getElementById('expression-input').addEventListener('input', (e) => this.setExpression(e.target.value));
+
+        // View buttons
+        document.getElementById('toggle-orthographic-btn').addEventListener('click', this.toggleOrthographic.bind(this));
+        document.getElementById('transition-duration').addEventListener('change', (e) => this.setStateTransitionDuration(Number(e.target.value)));
+        document.getElementById('snap-mode').addEventListener('change', (e) => {
+            this.snapMode = e.target.value;
+        });
+        document.getElementById('bivector-shape').addEventListener('change', (e) => this.setBivectorShape(e.target.value));
+        for (const button of document.querySelectorAll('[data-constraint]')) {
+            button.addEventListener('click', () => this.toggleConstraint(button.getAttribute('data-constraint')));
+        }
+        for (const button of document.querySelectorAll('[data-camera-preset]')) {
+            button.addEventListener('click', () => {
+                this.saveViewState(`turned to the ${button.getAttribute('data-camera-preset')} view`);
+                this.setCameraPreset(button.getAttribute('data-camera-preset'));
+            });
+        }
+        document.getElementById('copy-link-btn').addEventListener('click', this.copyPermalink.bind(this));
+        document.getElementById('export-json-btn').addEventListener('click', this.exportStateFile.bind(this));
+        document.getElementById('export-svg-btn').addEventListener('click', this.exportSVG.bind(this));
+        document.getElementById('copy-tikz-btn').addEventListener('click', () => this.copyTikZ(false));
+        document.getElementById('copy-tikz-equations-btn').addEventListener('click', () => this.copyTikZ(true));
+        document.getElementById('export-png-btn').addEventListener('click', this.exportPNG.bind(this));
+
+        // The visible button opens the hidden file input
+        const importInput = document.getElementById('import-json-input');
+        document.getElementById('import-json-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                this.importStateFile(importInput.files[0]);
+            }
+            // Allow loading the same file again
+            importInput.value = '';
+        });
+
+        // Links pasted into the address bar of an open page
+        window.addEventListener('hashchange', () => {
+            const json = this.getStateFromURL();
+            if (!json) return;
+
+            this.saveState('opened a link');
+            this.applyStateJSON(json);
+        });
+
+        // Color circle click handlers (delegated, since vector rows are rebuilt)
+        document.querySelector('.info-panel').addEventListener('click', (e) => {
+            const circle = e.target.closest('.vector-color[data-vector-type]');
+            if (circle) {
+                this.toggleVisibility(circle, circle.getAttribute('data-vector-type'));
+            }
+        });
+        // The circles act as buttons for the keyboard as well
+        document.querySelector('.info-panel').addEventListener('keydown', (e) => {
+            const circle = e.target.closest('.vector-color[data-vector-type]');
+            if (circle && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.toggleVisibility(circle, circle.getAttribute('data-vector-type'));
+            }
+        });
+
+        // Toggle norm button handlers (vector rows bind their own)
+        document.getElementById('toggle-norm-prodABC-btn').addEventListener('click', () => this.toggleIndividualNormDisplay('prodABC'));
+        document.getElementById('toggle-norm-prodCAB-btn').addEventListener('click', () => this.toggleIndividualNormDisplay('prodCAB'));
+
+        document.getElementById('add-vector-btn').addEventListener('click', this.addVector.bind(this));
+        document.getElementById('animate-sandwich-btn').addEventListener('click', this.animateSandwich.bind(this));
+
+        // Undo/Redo keyboard shortcuts, ctrl+shift+z redoes as well, and cmd instead of ctrl on macOS.
+        // Text fields keep their own undo
+        window.addEventListener('keydown', (e) => {
+            if (e.target.closest?.('input, select, textarea')) return;
+
+            const key = e.key.toLowerCase();
+            const modifier = e.ctrlKey || e.metaKey;
+            if (modifier && !e.shiftKey && key === 'z') {
+                e.preventDefault();
+                this.undo();
+            } else if (modifier && ((!e.shiftKey && key === 'y') || (e.shiftKey && key === 'z'))) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // History panel
+        document.getElementById('undo-btn').addEventListener('click', this.undo.bind(this));
+        document.getElementById('redo-btn').addEventListener('click', this.redo.bind(this));
+        document.getElementById('history-list').addEventListener('click', (e) => {
+            const entry = e.target.closest('[data-history-position]');
+            if (entry) {
+                this.moveHistory(Number(entry.getAttribute('data-history-position')) - this.undoHistory.length);
+            }
+        });
+
+        // Timeline
+        document.getElementById('timeline-play-btn').addEventListener('click', this.toggleTimelinePlayback.bind(this));
+        document.getElementById('timeline-rewind-btn').addEventListener('click', () => {
+            this.stopTimelinePlayback();
+            this.applyTimelineTime(0);
+        });
+        document.getElementById('timeline-slider').addEventListener('input', (e) => {
+            this.stopTimelinePlayback();
+            this.applyTimelineTime(Number(e.target.value) / 1000);
+        });
+        document.getElementById('timeline-duration').addEventListener('change', (e) => this.setTimelineDuration(Number(e.target.value)));
+        document.getElementById('timeline-add-keyframe-btn').addEventListener('click', this.addTimelineKeyframe.bind(this));
+        document.getElementById('timeline-clear-keyframes-btn').addEventListener('click', this.clearTimelineKeyframes.bind(this));
+        document.getElementById('timeline-export-webm-btn').addEventListener('click', this.exportTimelineVideo.bind(this));
+        document.getElementById('timeline-export-gif-btn').addEventListener('click', this.exportTimelineGIF.bind(this));
+        // Delegated, since binding rows are rebuilt with the vectors
+        document.getElementById('timeline-bindings').addEventListener('change', (e) => {
+            const input = e.target.closest('[data-binding]');
+            if (input) {
+                this.setTimelineBinding(input.getAttribute('data-binding'), input.value);
+            }
+        });
+
+        // Chart controls
+        document.getElementById('chart-axis').addEventListener('change', (e) => this.setChartAxis(e.target.value));
+        document.getElementById('chart-clear-btn').addEventListener('click', this.clearChart.bind(this));
+        document.getElementById('chart-legend').addEventListener('change', (e) => {
+            const input = e.target.closest('[data-series]');
+            if (input) {
+                this.toggleChartSeries(input.getAttribute('data-series'), input.checked);
+            }
+        });
+
+        // Walkthrough controls, the arrow keys step through it unless they are used in a field
+        document.getElementById('walkthrough-previous-btn').addEventListener('click', () => this.showWalkthroughStep(this.walkthrough.index - 1));
+        document.getElementById('walkthrough-next-btn').addEventListener('click', () => this.showWalkthroughStep(this.walkthrough.index + 1));
+        document.getElementById('walkthrough-close-btn').addEventListener('click', this.endWalkthrough.bind(this));
+        window.addEventListener('keydown', (e) => {
+            if (!this.walkthrough || e.defaultPrevented || e.target.closest?.('input, select, textarea')) return;
+
+            if (e.key === 'ArrowRight') {
+                this.showWalkthroughStep(this.walkthrough.index + 1);
+            } else if (e.key === 'ArrowLeft') {
+                this.showWalkthroughStep(this.walkthrough.index - 1);
+            } else if (e.key === 'Escape') {
+                this.endWalkthrough();
+            }
+        });
+
+        // Example buttons (delegated, since they are filled in once the catalog is loaded)
+        document.querySelector('.blog-content').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-example]');
+            if (button) {
+                this.loadExample(button.getAttribute('data-example'));
+            }
+        });
+
+        document.getElementById('walkthrough-geo-product').addEventListener('click', () => {
+            this.startWalkthrough(GEOMETRIC_PRODUCT_WALKTHROUGH);
+        });
+
+        // Exercises
+        document.getElementById('exercise-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-exercise-index]');
+            if (button) {
+                this.startExercise(Number(button.getAttribute('data-exercise-index')));
+            }
+        });
+        document.getElementById('reset-exercise-progress-btn').addEventListener('click', this.resetExerciseProgress.bind(this));
+        document.getElementById('exercise-hint-btn').addEventListener('click', this.showExerciseHint.bind(this));
+        document.getElementById('exercise-restart-btn').addEventListener('click', this.restartExercise.bind(this));
+        document.getElementById('exercise-next-btn').addEventListener('click', () => this.startExercise(this.exercise.index + 1));
+        document.getElementById('exercise-close-btn').addEventListener('click', this.endExercise.bind(this));
+        window.addEventListener('keydown', (e) => {
+            if (this.exercise && e.key === 'Escape' && !e.defaultPrevented && !e.target.closest?.('input, select, textarea')) {
+                this.endExercise();
+            }
+        });
+
+        // Saved scenes and examples (delegated, since the lists are rebuilt)
+        document.getElementById('save-preset-btn').addEventListener('click', this.savePreset.bind(this));
+        document.getElementById('export-presets-btn').addEventListener('click', this.exportPresets.bind(this));
+        const importPresetsInput = document.getElementById('import-presets-input');
+        document.getElementById('import-presets-btn').addEventListener('click', () => importPresetsInput.click());
+        importPresetsInput.addEventListener('change', () => {
+            if (importPresetsInput.files.length > 0) {
+                this.importPresets(importPresetsInput.files[0]);
+            }
+            importPresetsInput.value = '';
+        });
+        document.getElementById('preset-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-preset-action]');
+            if (!button) return;
+
+            const index = Number(button.closest('[data-preset-index]').getAttribute('data-preset-index'));
+            switch (button.getAttribute('data-preset-action')) {
+                case 'load':
+                    this.loadPreset(index);
+                    break;
+                case 'up':
+                    this.movePreset(index, -1);
+                    break;
+                case 'down':
+                    this.movePreset(index, 1);
+                    break;
+                case 'rename':
+                    this.renamePreset(index);
+                    break;
+                case 'delete':
+                    this.deletePreset(index);
+                    break;
+            }
+        });
+        document.getElementById('example-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-example]');
+            if (button) {
+                this.loadExample(button.getAttribute('data-example'), false);
+            }
+        });
+
+        // Return button
+        document.getElementById('return-button').addEventListener('click', () => {
+            this.returnToPreviousPosition();
+        });
+
+        // Scroll tracking to hide return button when user manually scrolls
+        let scrollTimeout;
+        window.addEventListener('scroll', () => {
+            // Don't hide button if we're programmatically scrolling to canvas
+            if (this.isScrollingToCanvas) return;
+
+            // Clear previous timeout
+            clearTimeout(scrollTimeout);
+
+            // Set timeout to hide button after user stops scrolling
+            scrollTimeout = setTimeout(() => {
+                const currentScroll = window.pageYOffset || document.documentElement.scrollTop;
+
+                // Hide return button if user has scrolled back close to original position
+                const scrollDifferenceFromOriginal = this.previousScrollPosition - currentScroll;
+                if (scrollDifferenceFromOriginal < 500)
+                    this.hideReturnButton();
+            }, 100);
+        });
+
+        this.setupDraggableNumbers();
+    }
+
+    setupDraggableNumbers() {
+        this.numberDragState = {
+            isDragging: false,
+            element: null,
+            vector: null,
+            component: null,
+            startY: 0,
+            startValue: 0
+        };
+
+        // Delegated, since vector rows are rebuilt
+        document.getElementById('vector-list').addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.draggable-number') && e.button === 0) {
+                this.onNumberPointerDown(e);
+            }
+        });
+        document.getElementById('vector-list').addEventListener('keydown', (e) => {
+            if (e.target.closest('.draggable-number')) {
+                this.onNumberKeyDown(e);
+            }
+        });
+
+        document.addEventListener('pointermove', this.onNumberPointerMove.bind(this));
+        document.addEventListener('pointerup', this.onNumberPointerUp.bind(this));
+        document.addEventListener('pointercancel', this.onNumberPointerUp.bind(this));
+    }
+
+    onNumberPointerDown(event) {
+        // Only scrub with the first finger, further touches are ignored
+        if (this.numberDragState.isDragging || this.isVectorLocked(event.target.getAttribute('data-vector'))) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const element = event.target;
+        const vector = element.getAttribute('data-vector');
+        const component = element.getAttribute('data-component');
+
+        this.numberDragState = {
+            isDragging: true,
+            hasMoved: false, // Until the pointer moves, releasing it clicks the number
+            pointerId: event.pointerId,
+            element: element,
+            vector: vector,
+            component: component,
+            startY: event.clientY,
+            lastY: event.clientY,
+            value: this.getVectorComponentValue(vector, component)
+        };
+
+        element.classList.add('dragging');
+        document.body.style.cursor = 'ns-resize';
+    }
+
+    // Shift makes scrubbing ten times finer and alt ten times coarser
+    getScrubScale(event) {
+        if (event.shiftKey) return 0.1;
+        if (event.altKey) return 10;
+        return 1;
+    }
+
+    // The modifiers may change during a scrub, so the value follows the pointer in increments
+    onNumberPointerMove(event) {
+        const dragState = this.numberDragState;
+        if (!dragState.isDragging || event.pointerId !== dragState.pointerId) return;
+
+        event.preventDefault();
+
+        if (!dragState.hasMoved) {
+            if (Math.abs(event.clientY - dragState.startY) < this.NUMBER_CLICK_DISTANCE) return;
+            dragState.hasMoved = true;
+            this.saveState(`changed ${dragState.vector}`);
+        }
+
+        const componentScale = dragState.component === 'angle' ? this.ANGLE_STEP_SCALE : 1;
+        dragState.value += (dragState.lastY - event.clientY) * this.NUMBER_SCRUB_SENSITIVITY * this.getScrubScale(event) * componentScale;
+        dragState.lastY = event.clientY;
+
+        this.updateVectorComponent(dragState.vector, dragState.component, dragState.value);
+    }
+
+    onNumberPointerUp(event) {
+        if (!this.numberDragState.isDragging || event.pointerId !== this.numberDragState.pointerId) return;
+
+        this.numberDragState.element.classList.remove('dragging');
+        document.body.style.cursor = '';
+
+        if (!this.numberDragState.hasMoved && event.type === 'pointerup') {
+            this.startNumberEdit(this.numberDragState.element);
+        }
+
+        this.numberDragState = {
+            isDragging: false,
+            element: null,
+            vector: null,
+            component: null,
+            startY: 0,
+            startValue: 0
+        };
+    }
+
+    // Up and down change the focused number, one undo step per key press, and enter or F2 edit it
+    onNumberKeyDown(event) {
+        if (this.isVectorLocked(event.target.getAttribute('data-vector'))) return;
+
+        if (event.key === 'Enter' || event.key === 'F2') {
+            event.preventDefault();
+            this.startNumberEdit(event.target);
+            return;
+        }
+
+        const direction = { ArrowUp: 1, ArrowDown: -1 }[event.key];
+        if (!direction) return;
+
+        event.preventDefault();
+
+        const vector = event.target.getAttribute('data-vector');
+        const component = event.target.getAttribute('data-component');
+        this.saveState(`changed ${vector}`, `number:${vector}:${component}`);
+
+        const componentScale = component === 'angle' ? this.ANGLE_STEP_SCALE : 1;
+        const value = this.getVectorComponentValue(vector, component) + direction * this.getKeyboardStep(event) * componentScale;
+        this.updateVectorComponent(vector, component, value);
+    }
+
+    /**
+     * Replaces a number by a field for typing its value. Enter and leaving the field apply it,
+     * escape keeps the old value.
+     * @param {HTMLElement} number draggable number of a user vector
+     */
+    startNumberEdit(number) {
+        const vector = number.getAttribute('data-vector');
+        const component = number.getAttribute('data-component');
+
+        const input = document.createElement('input');
+        input.className = 'number-input';
+        input.value = String(Number(this.getVectorComponentValue(vector, component).toFixed(4)));
+        input.setAttribute('aria-label', number.getAttribute('aria-label'));
+
+        number.hidden = true;
+        number.after(input);
+        input.focus();
+        input.select();
+
+        let isFinished = false;
+        const finish = (apply) => {
+            if (isFinished) return true;
+            if (apply && !this.applyNumberEdit(input, vector, component)) return false;
+
+            isFinished = true;
+            input.remove();
+            number.hidden = false;
+            return true;
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (finish(true)) number.focus();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+                number.focus();
+            }
+        });
+        // An invalid value is dropped when the field loses focus
+        input.addEventListener('blur', () => {
+            if (!finish(true)) finish(false);
+        });
+    }
+
+    /**
+     * Sets a component to the value of the expression typed into its field, which may use the vectors.
+     * @returns {boolean} false if the expression is invalid, which is then marked on the field
+     */
+    applyNumberEdit(input, vector, component) {
+        input.classList.remove('invalid');
+        input.title = '';
+
+        let value;
+        try {
+            const result = new Expression(input.value).evaluate(this.getExpressionVariables());
+            if (!result.isScalar()) {
+                throw new ExpressionError('The expression must evaluate to a number');
+            }
+            value = result.s;
+        } catch (error) {
+            if (!(error instanceof ExpressionError)) throw error;
+            input.classList.add('invalid');
+            input.title = error.message;
+            return false;
+        }
+
+        if (value !== this.getVectorComponentValue(vector, component)) {
+            this.saveState(`set ${component} of ${vector}`);
+            this.updateVectorComponent(vector, component, value);
+        }
+        return true;
+    }
+
+    getVectorComponentValue(vectorType, component) {
+        const vector = this.state.vector.get(vectorType);
+
+        switch (component) {
+            case 'x':
+                return vector.x;
+            case 'y':
+                return vector.y;
+            case 'length':
+                return norm2(vector);
+            case 'angle':
+                return Math.atan2(vector.y, vector.x) * 180 / Math.PI;
+        }
+    }
+
+    updateVectorComponent(vectorType, component, value) {
+        const vector = this.state.vector.get(vectorType);
+
+        if (component === 'x') {
+            this.state.vector.set(vectorType, new Vector2(value, vector.y));
+        } else if (component === 'y') {
+            this.state.vector.set(vectorType, new Vector2(vector.x, value));
+        } else if (component === 'length') {
+            const angle = Math.atan2(vector.y, vector.x);
+            this.state.vector.set(vectorType, new Vector2(value * Math.cos(angle), value * Math.sin(angle)));
+        } else if (component === 'angle') {
+            const length = norm2(vector);
+            const angle = value * Math.PI / 180;
+            this.state.vector.set(vectorType, new Vector2(length * Math.cos(angle), length * Math.sin(angle)));
+        }
+
+        // Update all related calculations and displays
+        this.updateVectors();
+    }
+
+    getMousePosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    }
+
+    onPointerDown(event) {
+        this.canvas.setPointerCapture(event.pointerId);
+        this.activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        // A second finger turns any drag into a pinch gesture
+        if (event.pointerType === 'touch' && this.activePointers.size === 2) {
+            this.endPointerDrag();
+            this.startPinch();
+            return;
+        }
+        if (this.activePointers.size > 1) return;
+
+        this.getMousePosition(event);
+
+        if (event.button === 0) { // Left mouse button, pen or finger
+            const vectorName = this.findDraggableVector(event);
+
+            if (vectorName) {
+                this.isDragging = true;
+                this.dragTarget = vectorName;
+
+                this.saveState(`dragged ${vectorName}`);
+                this.dragConstraints = this.getHeldConstraints();
+
+                this.canvas.style.cursor = 'grabbing';
+            } else {
+                // The top-down 2D view can not be rotated, so dragging moves it instead
+                if (this.isOrthographic) {
+                    this.isPanningCanvas = true;
+                } else {
+                    this.isDraggingCanvas = true;
+                }
+                this.isViewDragSaved = false;
+                this.cameraAnimation = null;
+                this.lastMousePosition.set(event.clientX, event.clientY);
+                this.canvas.style.cursor = 'grabbing';
+            }
+        } else if (event.button === 2) { // Right mouse button
+            this.isPanningCanvas = true;
+            this.isViewDragSaved = false;
+            this.cameraAnimation = null;
+            this.lastMousePosition.set(event.clientX, event.clientY);
+            this.canvas.style.cursor = 'move';
+        }
+    }
+
+    moveVector(event) {
+        // Use raycasting to find intersection with the XY plane (z = 0)
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        // Create a plane at z = 0 to intersect with
+        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+        const intersectionPoint = new THREE.Vector3();
+
+        if (this.raycaster.ray.intersectPlane(plane, intersectionPoint)) {
+            const worldX = intersectionPoint.x;
+            const worldY = intersectionPoint.y;
+
+            const position = snapVector(new Vector2(worldX, worldY), this.getSnapModes(event));
+            this.state.vector.set(this.dragTarget, position);
+            this.applyConstraints(this.dragTarget);
+
+            this.updateVectors();
+        }
+    }
+
+    // Shift adds angle snapping and alt adds grid snapping to the selected mode while dragging
+    getSnapModes(event) {
+        const modes = new Set([this.snapMode]);
+        if (event.shiftKey) modes.add('angle');
+        if (event.altKey) modes.add('grid');
+        return modes;
+    }
+
+    // Signed angle from a to b, counterclockwise positive
+    getAngleBetween(from, to) {
+        return Math.atan2(from.wedge(to), from.dot(to));
+    }
+
+    // The length of a and the angle between a and b at the start of a drag, which the constraints keep
+    getHeldConstraints() {
+        const { A, B } = this.state.vector;
+        if (!A || !B) {
+            return { lengthA: A ? norm2(A) : 0, angleAB: 0 };
+        }
+
+        const angleAB = this.getAngleBetween(A, B);
+        return {
+            lengthA: norm2(A),
+            angleAB: this.constraints.orthogonalAB ? (angleAB < 0 ? -Math.PI / 2 : Math.PI / 2) : angleAB
+        };
+    }
+
+    /**
+     * Adjusts a and b after one of them was moved so that the active constraints still hold.
+     * Moving a turns b along with it, moving b only changes its length.
+     * @param {string} movedName
+     */
+    applyConstraints(movedName) {
+        const held = this.dragConstraints;
+        if (!held) return;
+
+        const { A, B } = this.state.vector;
+        const holdsAngle = this.constraints.fixedAngleAB || this.constraints.orthogonalAB;
+
+        if (movedName === 'a' && A) {
+            if (this.constraints.fixedLengthA && norm2(A) > 0.001) {
+                this.state.vector.set('a', A.normalize().scale(held.lengthA));
+            }
+            // A locked b stays put, the angle is then only held while a keeps its direction
+            if (holdsAngle && B && norm2(A) > 0.001 && !this.isVectorLocked('b')) {
+                this.state.vector.set('b', A.normalize().rotateBy(held.angleAB).scale(norm2(B)));
+            }
+        } else if (movedName === 'b' && A && B && holdsAngle && norm2(A) > 0.001) {
+            // Keep b on the ray at the held angle, at the length closest to the pointer
+            const direction = A.normalize().rotateBy(held.angleAB);
+            this.state.vector.set('b', direction.scale(Math.max(0, B.dot(direction))));
+        }
+    }
+
+    /**
+     * Turns a lock on or off. The fixed and the orthogonal angle exclude each other,
+     * and turning on orthogonality turns b to be orthogonal to a right away.
+     * @param {string} name key of this.constraints
+     */
+    toggleConstraint(name) {
+        this.constraints[name] = !this.constraints[name];
+        if (name === 'fixedAngleAB' && this.constraints.fixedAngleAB) {
+            this.constraints.orthogonalAB = false;
+        } else if (name === 'orthogonalAB' && this.constraints.orthogonalAB) {
+            this.constraints.fixedAngleAB = false;
+
+            const { A, B } = this.state.vector;
+            if (A && B && norm2(A) > 0.001 && Math.abs(A.normalize().dot(B)) > 0.001 && !this.isVectorLocked('b')) {
+                this.saveState('made b orthogonal to a');
+                this.state.vector.set('b', A.normalize().rotateBy(this.getHeldConstraints().angleAB).scale(norm2(B)));
+                this.updateVectors();
+            }
+        }
+
+        for (const button of document.querySelectorAll('[data-constraint]')) {
+            button.classList.toggle('active', this.constraints[button.getAttribute('data-constraint')]);
+        }
+    }
+
+    rotateCamera(event) {
+        const deltaX = event.clientX - this.lastMousePosition.x;
+        const deltaY = event.clientY - this.lastMousePosition.y;
+
+        const rotationSpeed = 0.005;
+
+        this.cameraRotationY -= deltaX * rotationSpeed; // left/right
+        this.cameraRotationX -= deltaY * rotationSpeed; // up/down
+
+        const maxVerticalAngle = Math.PI / 3;
+        this.cameraRotationX = Math.max(-maxVerticalAngle, Math.min(maxVerticalAngle, this.cameraRotationX));
+
+        this.cameraRotationY = this.cameraRotationY % (2 * Math.PI);
+
+        this.updateCameraPosition();
+
+        this.lastMousePosition.set(event.clientX, event.clientY);
+    }
+
+    /**
+     * Returns the name of the vector whose endpoint is under the pointer.
+     * Fingers cover more than the small endpoint, so touches also grab the closest endpoint nearby.
+     * @param {PointerEvent} event
+     * @returns {string|null}
+     */
+    findDraggableVector(event) {
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        for (const intersect of this.raycaster.intersectObjects(this.scene.children, true)) {
+            const { draggable, vectorType } = intersect.object.userData;
+            if (draggable && !this.isVectorLocked(vectorType)) {
+                return vectorType;
+            }
+        }
+
+        if (event.pointerType !== 'touch') return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        let closestName = null;
+        let closestDistance = this.TOUCH_DRAG_RADIUS;
+        for (const [name, mesh] of this.vectorMeshes) {
+            if (!mesh.visible || this.isVectorLocked(name)) continue;
+
+            const endpoint = new THREE.Vector3().setFromMatrixPosition(mesh.children[2].matrixWorld).project(this.camera);
+            const x = rect.left + (endpoint.x + 1) / 2 * rect.width;
+            const y = rect.top + (1 - endpoint.y) / 2 * rect.height;
+            const distance = Math.hypot(x - event.clientX, y - event.clientY);
+            if (distance < closestDistance) {
+                closestName = name;
+                closestDistance = distance;
+            }
+        }
+
+        return closestName;
+    }
+
+    onPointerMove(event) {
+        if (this.activePointers.has(event.pointerId)) {
+            this.activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        }
+
+        if (this.pinchState) {
+            this.updatePinch();
+            return;
+        }
+
+        this.getMousePosition(event);
+
+        if (this.isDragging && this.dragTarget) {
+            this.moveVector(event);
+        } else if (this.isDraggingCanvas) {
+            this.saveViewDrag('turned the view');
+            this.rotateCamera(event);
+        } else if (this.isPanningCanvas) {
+            this.saveViewDrag('moved the view');
+            this.panCamera(event.clientX - this.lastMousePosition.x, event.clientY - this.lastMousePosition.y);
+            this.lastMousePosition.set(event.clientX, event.clientY);
+        } else if (event.pointerType === 'mouse') {
+            // Check if hovering over draggable objects
+            this.raycaster.setFromCamera(this.mouse, this.camera);
+            const intersects = this.raycaster.intersectObjects(this.scene.children, true);
+
+            let isHovering = false;
+            for (let intersect of intersects) {
+                if (intersect.object.userData.draggable && !this.isVectorLocked(intersect.object.userData.vectorType)) {
+                    isHovering = true;
+                    break;
+                }
+            }
+
+            this.canvas.style.cursor = isHovering ? 'grab' : 'default';
+        }
+    }
+
+    /**
+     * Moves the view with the pointer.
+     * @param {number} deltaX in pixels
+     * @param {number} deltaY in pixels
+     */
+    panCamera(deltaX, deltaY) {
+        // Move the target by as many world units as the pointer moved over the plane it lies in
+        const visibleHeight = 2 * this.cameraDistance * Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov / 2));
+        const worldPerPixel = visibleHeight / this.canvas.clientHeight;
+
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1);
+        this.cameraTarget.addScaledVector(right, -deltaX * worldPerPixel);
+        this.cameraTarget.addScaledVector(up, deltaY * worldPerPixel);
+
+        this.updateCameraPosition();
+    }
+
+    getPinchGeometry() {
+        const [first, second] = this.activePointers.values();
+
+        return {
+            distance: Math.hypot(second.x - first.x, second.y - first.y),
+            angle: Math.atan2(second.y - first.y, second.x - first.x),
+            midpoint: { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 }
+        };
+    }
+
+    // A drag of the view gets its history entry once it moves, so that clicks on the canvas leave none
+    saveViewDrag(label) {
+        if (!this.isViewDragSaved) {
+            this.saveViewState(label);
+            this.isViewDragSaved = true;
+        }
+    }
+
+    startPinch() {
+        this.saveViewState('moved the view');
+        this.cameraAnimation = null;
+        this.pinchState = {
+            ...this.getPinchGeometry(),
+            cameraDistance: this.cameraDistance
+        };
+    }
+
+    // Spreading the fingers zooms in, twisting them orbits the camera and moving them pans
+    updatePinch() {
+        const current = this.getPinchGeometry();
+
+        this.cameraDistance = Math.max(this.MIN_DISTANCE, Math.min(this.MAX_DISTANCE,
+            this.pinchState.cameraDistance * this.pinchState.distance / Math.max(current.distance, 1)));
+
+        if (!this.isOrthographic) {
+            // Take the short way, atan2 jumps by a full turn when the fingers cross the horizontal
+            const deltaAngle = ((current.angle - this.pinchState.angle) % (2 * Math.PI) + 3 * Math.PI) % (2 * Math.PI) - Math.PI;
+            this.cameraRotationY = (this.cameraRotationY - deltaAngle) % (2 * Math.PI);
+        }
+        this.pinchState.angle = current.angle;
+
+        // Updates the camera position as well
+        this.panCamera(current.midpoint.x - this.pinchState.midpoint.x, current.midpoint.y - this.pinchState.midpoint.y);
+        this.pinchState.midpoint = current.midpoint;
+    }
+
+    endPointerDrag() {
+        this.isDragging = false;
+        this.dragTarget = null;
+        this.dragConstraints = null;
+        this.isDraggingCanvas = false;
+        this.isPanningCanvas = false;
+        this.canvas.style.cursor = 'default';
+    }
+
+    /**
+     * Turns the camera smoothly to the orientation of a preset and moves it back over the origin.
+     * @param {string} name Key of CAMERA_PRESETS
+     */
+    setCameraPreset(name) {
+        // Only the top view exists without perspective
+        if (this.isOrthographic && name !== 'top') {
+            this.setOrthographic(false);
+        }
+
+        const preset = CAMERA_PRESETS[name];
+        this.animateCamera(preset.rotationX, preset.rotationY, new THREE.Vector3());
+    }
+
+    animateCamera(rotationX, rotationY, target, onComplete = null) {
+        this.cameraAnimation = {
+            start: performance.now(),
+            from: { rotationX: this.cameraRotationX, rotationY: this.cameraRotationY, target: this.cameraTarget.clone() },
+            to: { rotationX, rotationY, target },
+            onComplete
+        };
+    }
+
+    // Jumps to the end of a running camera transition
+    finishCameraAnimation() {
+        if (this.cameraAnimation !== null) {
+            this.updateCameraAnimation(this.cameraAnimation.start + this.CAMERA_ANIMATION_DURATION);
+        }
+    }
+
+    updateCameraAnimation(time) {
+        const { start, from, to, onComplete } = this.cameraAnimation;
+        const t = Math.min(1, (time - start) / this.CAMERA_ANIMATION_DURATION);
+        const eased = t * t * (3 - 2 * t);
+
+        // Turn the short way around
+        const deltaY = ((to.rotationY - from.rotationY) % (2 * Math.PI) + 3 * Math.PI) % (2 * Math.PI) - Math.PI;
+
+        this.cameraRotationX = from.rotationX + (to.rotationX - from.rotationX) * eased;
+        this.cameraRotationY = from.rotationY + deltaY * eased;
+        this.cameraTarget.lerpVectors(from.target, to.target, eased);
+        this.updateCameraPosition();
+
+        if (t >= 1) {
+            this.cameraAnimation = null;
+            onComplete?.();
+        }
+    }
+
+    toggleOrthographic() {
+        this.saveViewState(this.isOrthographic ? 'switched to 3D' : 'switched to 2D');
+        this.setOrthographic(!this.isOrthographic);
+    }
+
+    /**
+     * Switches between the perspective camera and the orthographic top-down view.
+     * @param {boolean} enabled
+     * @param {boolean} animate Turn to the top view before switching instead of jumping there
+     */
+    setOrthographic(enabled, animate = true) {
+        const apply = () => {
+            this.isOrthographic = enabled;
+            this.camera = enabled ? this.orthographicCamera : this.perspectiveCamera;
+            if (enabled) {
+                this.cameraRotationX = 0;
+                this.cameraRotationY = 0;
+            }
+            this.updateCameraPosition();
+            this.schedulePermalinkUpdate();
+
+            document.getElementById('toggle-orthographic-btn').classList.toggle('active', enabled);
+        };
+
+        if (enabled && animate) {
+            this.animateCamera(0, 0, this.cameraTarget.clone(), apply);
+        } else {
+            this.cameraAnimation = null;
+            apply();
+        }
+    }
+
+    onPointerUp(event) {
+        this.activePointers.delete(event.pointerId);
+
+        // The finger that remains after a pinch does nothing until it is lifted as well
+        if (this.pinchState) {
+            if (this.activePointers.size < 2) {
+                this.pinchState = null;
+            }
+            return;
+        }
+
+        if (event.button === 0) {
+            this.endPointerDrag();
+        } else if (event.button === 2) {
+            this.isPanningCanvas = false;
+            this.canvas.style.cursor = 'default';
+        }
+    }
+
+    onPointerCancel(event) {
+        this.activePointers.delete(event.pointerId);
+        this.pinchState = null;
+        this.endPointerDrag();
+    }
+
+    onWheel(event) {
+        event.preventDefault();
+
+        this.saveViewState('zoomed the view', 'zoom');
+        this.cameraDistance = Math.max(this.MIN_DISTANCE, Math.min(this.MAX_DISTANCE, this.cameraDistance + event.deltaY * this.ZOOM_SENSITIVITY))
+
+        this.updateCameraPosition();
+    }
+
+    onWindowResize() {
+        this.updateCanvasSize();
+        this.chartNeedsRender = true;
+    }
+
+    setVectorState(vectorState, animate = false) {
+        const transitionStart = animate ? this.getTransitionStart() : null;
+        this.releaseTimeline();
+
+        this.state.vector = vectorState;
+
+        this.syncVectors();
+        this.updateVectors();
+
+        if (transitionStart) {
+            this.startStateTransition(transitionStart);
+        }
+    }
+
+    setState(state, animate = false) {
+        const transitionStart = animate ? this.getTransitionStart() : null;
+
+        this.state = state;
+
+        this.setVectorState(this.state.vector);
+
+        this.updateMeshVisibility();
+
+        // Reset color circle appearances
+        const colorCircles = document.querySelectorAll('.vector-color[data-vector-type]');
+        colorCircles.forEach(circle => {
+            const vectorType = circle.getAttribute('data-vector-type');
+            this.updateVisibility(circle, vectorType);
+        });
+
+        if (transitionStart) {
+            this.startStateTransition(transitionStart);
+        }
+    }
+
+    // What is shown before a state change, to tween from
+    getTransitionStart() {
+        this.finishStateTransition();
+
+        return {
+            vectors: new Map(this.state.vector.vectors.map(v => [v.name, v.vector.clone()])),
+            shown: new Set(this.getVisibleSceneObjects())
+        };
+    }
+
+    /**
+     * Tweens from the previous to the current state, which is already applied.
+     * Vectors turn in polar form, constructions follow them, and objects that appear or disappear fade.
+     * @param {{vectors: Map<string, Vector2>, shown: Set<THREE.Object3D>}} transitionStart
+     */
+    startStateTransition(transitionStart) {
+        if (this.stateTransitionDuration <= 0) return;
+
+        // New vectors grow out of the origin
+        const zero = new Vector2(0, 0);
+        const vectors = this.state.vector.vectors
+            .map(namedVector => ({
+                namedVector: namedVector,
+                from: transitionStart.vectors.get(namedVector.name) ?? zero,
+                to: namedVector.vector.clone()
+            }))
+            .filter(({ from, to }) => !from.equals(to));
+
+        const shown = new Set(this.getVisibleSceneObjects());
+        const fadeIn = [...shown].filter(object => !transitionStart.shown.has(object));
+        // Meshes of removed vectors are already disposed
+        const fadeOut = [...transitionStart.shown].filter(object => !shown.has(object) && object.parent);
+
+        if (vectors.length === 0 && fadeIn.length === 0 && fadeOut.length === 0) return;
+
+        this.stateTransition = {
+            start: performance.now(),
+            vectors: vectors,
+            fadeIn: fadeIn,
+            fadeOut: fadeOut
+        };
+        this.updateStateTransition(this.stateTransition.start);
+    }
+
+    updateStateTransition(time) {
+        const t = Math.min(1, (time - this.stateTransition.start) / this.stateTransitionDuration);
+        if (t >= 1) {
+            this.finishStateTransition();
+            return;
+        }
+
+        // Ease in and out
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+
+        for (const { namedVector, from, to } of this.stateTransition.vectors) {
+            namedVector.vector = interpolateVector(from, to, eased);
+        }
+        this.updateVectors();
+
+        // updateVectors hid the objects that fade out again
+        for (const object of this.stateTransition.fadeIn) {
+            this.setObjectOpacity(object, eased);
+        }
+        for (const object of this.stateTransition.fadeOut) {
+            object.visible = true;
+            this.setObjectOpacity(object, 1 - eased);
+        }
+    }
+
+    /**
+     * Scales the opacity an object was created with, on top of any dimming by a walkthrough highlight.
+     * @param {THREE.Object3D} object
+     * @param {number} factor from 0 to 1
+     */
+    setObjectOpacity(object, factor) {
+        if (this.dimmedObjects.has(object)) {
+            factor *= this.DIMMED_OPACITY;
+        }
+
+        object.traverse(child => {
+            const material = child.material;
+            if (!material) return;
+
+            if (material.userData.baseOpacity === undefined) {
+                material.userData.baseOpacity = material.opacity;
+                material.userData.baseTransparent = material.transparent;
+            }
+            material.opacity = material.userData.baseOpacity * factor;
+            material.transparent = material.userData.baseTransparent || factor < 1;
+        });
+        this.needsRender = true;
+    }
+
+    // Jumps to the end of a running transition
+    finishStateTransition() {
+        if (!this.stateTransition) return;
+
+        const { vectors, fadeIn, fadeOut } = this.stateTransition;
+        this.stateTransition = null;
+
+        for (const { namedVector, to } of vectors) {
+            namedVector.vector = to;
+        }
+        for (const object of [...fadeIn, ...fadeOut]) {
+            this.setObjectOpacity(object, 1);
+        }
+
+        this.updateVectors();
+    }
+
+    setStateTransitionDuration(duration) {
+        this.stateTransitionDuration = duration;
+    }
+
+    resetVectors() {
+        this.saveState('reset');
+        this.setState(new VectorVisualizerState(), true);
+
+        // Reset camera
+        this.cameraAnimation = null;
+        this.cameraDistance = this.DEFAULT_DISTANCE;
+        this.cameraRotationY = 0;
+        this.cameraRotationX = 0;
+        this.cameraTarget.set(0, 0, 0);
+        this.updateCameraPosition();
+    }
+
+    toggleGrid() {
+        this.saveViewState(this.gridMesh.visible ? 'hid the grid' : 'showed the grid');
+        this.gridMesh.visible = !this.gridMesh.visible;
+        this.schedulePermalinkUpdate();
+        this.needsRender = true;
+    }
+
+    toggleUnitCircle() {
+        this.saveViewState(this.unitCircleMesh.visible ? 'hid the unit circle' : 'showed the unit circle');
+        this.unitCircleMesh.visible = !this.unitCircleMesh.visible;
+        this.schedulePermalinkUpdate();
+        this.needsRender = true;
+    }
+
+    toggleVisibility(target, vectorType) {
+        const name = CONSTRUCTION_DESCRIPTIONS[vectorType] ?? vectorType;
+        this.saveViewState(`${this.state.visibility[vectorType] ? 'hid' : 'showed'} ${name}`);
+
+        // Toggle the visibility state
+        this.state.visibility[vectorType] = !this.state.visibility[vectorType];
+
+        // Update the visual elements
+        this.updateMeshVisibility();
+
+        this.updateVisibility(target, vectorType);
+    }
+
+    toggleIndividualNormDisplay(vectorType) {
+        const normDisplay = document.getElementById(`norm-${vectorType}-display`);
+        const toggleBtn = document.getElementById(`toggle-norm-${vectorType}-btn`);
+        const icon = toggleBtn.querySelector('i');
+
+        // Toggle the collapsed state
+        normDisplay.classList.toggle('collapsed');
+        toggleBtn.classList.toggle('collapsed');
+
+        // Update the icon
+        if (normDisplay.classList.contains('collapsed')) {
+            icon.className = 'fa-solid fa-chevron-right';
+        } else {
+            icon.className = 'fa-solid fa-chevron-down';
+        }
+    }
+
+    normalizeVector(vectorType) {
+        const vector = this.state.vector.get(vectorType);
+        if (!vector || norm2(vector) === 0 || this.isVectorLocked(vectorType)) return;
+
+        this.saveState(`normalized ${vectorType}`);
+
+        this.state.vector.set(vectorType, vector.normalize());
+
+        // Update all related calculations and displays
+        this.updateVectors();
+    }
+
+    /**
+     * Returns an error message if name can not be used for a vector, otherwise null.
+     * @param {string} name
+     * @returns {string|null}
+     */
+    validateVectorName(name) {
+        if (!VECTOR_NAME_REGEX.test(name)) {
+            return 'Names must start with a lowercase letter followed by lowercase letters, digits or underscores.';
+        }
+        if (RESERVED_VECTOR_NAMES.has(name)) {
+            return `'${name}' is reserved.`;
+        }
+        if (this.state.vector.has(name)) {
+            return `A vector named '${name}' already exists.`;
+        }
+        return null;
+    }
+
+    nextVectorName() {
+        for (const letter of 'abcdefghijklmnopqrstuvwxyz') {
+            if (this.validateVectorName(letter) === null) return letter;
+        }
+
+        let index = 1;
+        while (this.validateVectorName(`v${index}`) !== null) index++;
+        return `v${index}`;
+    }
+
+    addVector() {
+        const name = this.nextVectorName();
+        this.saveState(`added ${name}`);
+
+        const color = VECTOR_COLOR_PALETTE[this.state.vector.vectors.length % VECTOR_COLOR_PALETTE.length];
+
+        this.state.vector.vectors.push(new NamedVector(name, new Vector2(1, 1), color));
+        this.state.visibility[name] = true;
+
+        this.setVectorState(this.state.vector);
+    }
+
+    removeVector(name) {
+        if (this.isVectorLocked(name)) return;
+
+        this.saveState(`removed ${name}`);
+
+        this.state.vector.vectors = this.state.vector.vectors.filter(v => v.name !== name);
+        delete this.state.visibility[name];
+
+        this.setVectorState(this.state.vector);
+    }
+
+    renameVector(name) {
+        if (this.isVectorLocked(name)) return;
+
+        const newName = window.prompt(`Rename vector ${name} to:`, name)?.trim();
+        if (!newName || newName === name) return;
+
+        const error = this.validateVectorName(newName);
+        if (error) {
+            window.alert(error);
+            return;
+        }
+
+        this.saveState(`renamed ${name} to ${newName}`);
+
+        // Keep the current color, since default colors depend on the name
+        const index = this.state.vector.vectors.findIndex(v => v.name === name);
+        const namedVector = this.state.vector.vectors[index];
+        namedVector.color = namedVector.color ?? colorToHex(this.getVectorColor(namedVector, index));
+        namedVector.name = newName;
+
+        this.state.visibility[newName] = this.state.visibility[name];
+        delete this.state.visibility[name];
+
+        if (this.polarVectors.delete(name)) {
+            this.polarVectors.add(newName);
+        }
 
-        // Y-axis (green)
-        const yGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(0, -axesLength, 0),
-            new THREE.Vector3(0, axesLength, 0)
-        ]);
-        const yMaterial = new THREE.LineBasicMaterial({ color: 0x51cf66, linewidth: 2 });
-        const yAxis = new THREE.Line(yGeometry, yMaterial);
-        axesGroup.add(yAxis);
+        this.setVectorState(this.state.vector);
+    }
 
-        // Z-axis (blue)
-        const zGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(0, 0, -axesLength),
-            new THREE.Vector3(0, 0, axesLength)
-        ]);
-        const zMaterial = new THREE.LineBasicMaterial({ color: 0x6b5eff, linewidth: 2 });
-        const zAxis = new THREE.Line(zGeometry, zMaterial);
-        axesGroup.add(zAxis);
+    recolorVector(name, color) {
+        this.saveState(`recolored ${name}`);
 
-        this.axesMesh = axesGroup;
-        this.scene.add(axesGroup);
+        this.state.vector.find(name).color = color;
+
+        this.setVectorState(this.state.vector);
     }
 
-    createVectors() {
-        // Get colors from CSS variables
-        const vectorAColor = this.getCSSColor('--vector-a-color');
-        const vectorBColor = this.getCSSColor('--vector-b-color');
-        const vectorCColor = this.getCSSColor('--vector-c-color');
-        const vectorBRotColor = this.getCSSColor('--vector-brot-color');
-        const dotColor = this.getCSSColor('--dot-a-b-color');
-        const wedgeColor = this.getCSSColor('--wedge-a-b-color');
-        const prodABCColor = this.getCSSColor('--prod-a-b-c-color');
-        const prodCABColor = this.getCSSColor('--prod-c-a-b-color');
+    // Everything the history restores, the vectors and their visibility, the grid, the unit circle and the camera
+    getSnapshot() {
+        // Vectors in a running transition are recorded where they are heading
+        const state = this.state.clone();
+        for (const { namedVector, to } of this.stateTransition?.vectors ?? []) {
+            state.vector.set(namedVector.name, to);
+        }
 
-        this.vectorAMesh = this.createVector(this.state.vector.A, vectorAColor, 'A');
-        this.vectorBMesh = this.createVector(this.state.vector.B, vectorBColor, 'B');
-        this.vectorCMesh = this.createVector(this.state.vector.C, vectorCColor, 'C');
-        this.vectorBRotMesh = this.createVector(this.state.vector.B.rotate(), vectorBRotColor, 'BRot');
-        this.dotMesh = this.createParallelogram(this.state.vector.A, this.state.vector.B.rotate(), dotColor);
-        this.wedgeMesh = this.createParallelogram(this.state.vector.A, this.state.vector.B, wedgeColor);
-        this.vectorProdABCMesh = this.createVector(this.state.vector.A.prod_vector(this.state.vector.B).prod_vector(this.state.vector.C), prodABCColor, 'A\'B\'C\'');
-        this.vectorProdCABMesh = this.createVector(this.state.vector.C.prod_vector(this.state.vector.A).prod_vector(this.state.vector.B), prodCABColor, 'C\'A\'B\'');
+        return {
+            state: state,
+            view: {
+                grid: this.gridMesh.visible,
+                unitCircle: this.unitCircleMesh.visible,
+                cameraDistance: this.cameraDistance,
+                cameraRotationX: this.cameraRotationX,
+                cameraRotationY: this.cameraRotationY,
+                cameraTarget: { x: this.cameraTarget.x, y: this.cameraTarget.y, z: this.cameraTarget.z },
+                orthographic: this.isOrthographic
+            }
+        };
+    }
 
-        // Create dashed helper vectors for parallelogram construction
-        this.vectorADashedMeshWedge = this.createDashedVector(this.state.vector.A, vectorAColor, 'A\'Wedge');
-        this.vectorADashedMeshDot = this.createDashedVector(this.state.vector.A, vectorAColor, 'A\'Dot')
-        this.vectorBDashedMesh = this.createDashedVector(this.state.vector.B, vectorBColor, 'B\'');
-        this.vectorBRotDashedMesh = this.createDashedVector(this.state.vector.B.rotate(), vectorBRotColor, 'BRot\'')
+    snapshotsEqual(first, second) {
+        return first.state.equals(second.state) && JSON.stringify(first.view) === JSON.stringify(second.view);
+    }
 
-        this.scene.add(this.wedgeMesh);
-        this.scene.add(this.dotMesh);
-        this.scene.add(this.vectorADashedMeshWedge);
-        this.scene.add(this.vectorBDashedMesh);
-        this.scene.add(this.vectorADashedMeshDot)
-        this.scene.add(this.vectorBRotDashedMesh);
-        this.scene.add(this.vectorBRotMesh);
-        this.scene.add(this.vectorAMesh);
-        this.scene.add(this.vectorBMesh);
-        this.scene.add(this.vectorCMesh);
-        this.scene.add(this.vectorProdABCMesh);
-        this.scene.add(this.vectorProdCABMesh);
+    applySnapshot(snapshot, animate = false) {
+        const view = snapshot.view;
+
+        this.setState(snapshot.state.clone(), animate);
+        this.gridMesh.visible = view.grid;
+        this.unitCircleMesh.visible = view.unitCircle;
+
+        if (view.orthographic !== this.isOrthographic) {
+            this.setOrthographic(view.orthographic, false);
+        }
+        this.cameraDistance = view.cameraDistance;
+        const target = new THREE.Vector3(view.cameraTarget.x, view.cameraTarget.y, view.cameraTarget.z);
+        if (animate) {
+            this.animateCamera(view.cameraRotationX, view.cameraRotationY, target);
+        } else {
+            this.cameraRotationX = view.cameraRotationX;
+            this.cameraRotationY = view.cameraRotationY;
+            this.cameraTarget.copy(target);
+        }
+        this.updateCameraPosition();
     }
 
-    createVector(vector, color, label) {
-        const group = new THREE.Group();
+    /**
+     * Records the scene before an action on the vectors so that it can be undone.
+     * @param {string} label describes the action in the history list, like 'dragged b'
+     * @param {string|null} coalesceKey repeated actions with the same key, like key presses or wheel steps,
+     *   make a single entry as long as they follow each other within HISTORY_COALESCE_DELAY
+     */
+    saveState(label, coalesceKey = null) {
+        // Edits start from the state the transition is heading to
+        this.finishStateTransition();
+        this.releaseTimeline();
 
-        // Arrow shaft
-        const shaftGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(vector.x, vector.y, 0)
-        ]);
-        const shaftMaterial = new THREE.LineBasicMaterial({
-            color: color,
-            linewidth: 3,
-            transparent: true,
-            opacity: 0.9
-        });
-        const shaft = new THREE.Line(shaftGeometry, shaftMaterial);
-        group.add(shaft);
+        this.recordHistory(label, coalesceKey);
+    }
 
-        // Arrow head
-        const headHeight = 0.15
-        const headGeometry = new THREE.ConeGeometry(headHeight / 2.0, headHeight, 3);
-        const headMaterial = new THREE.MeshBasicMaterial({ color: color });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
+    // Like saveState for actions that leave the vectors alone, so that transitions and playback keep running
+    saveViewState(label, coalesceKey = null) {
+        this.recordHistory(label, coalesceKey);
+    }
 
-        // Position and rotate arrow head
-        const angle = Math.atan2(vector.y, vector.x);
-        head.position.set(vector.x, vector.y, 0);
-        head.rotation.z = angle - Math.PI / 2;
-        group.add(head);
+    recordHistory(label, coalesceKey) {
+        this.finishCameraAnimation();
 
-        // Draggable endpoint (only for vectors A and B)
-        if (label === 'A' || label === 'B' || label === 'C') {
-            const endpointGeometry = new THREE.CircleGeometry(0.15, 6);
-            const endpointMaterial = new THREE.MeshBasicMaterial({
-                color: color,
-                transparent: true,
-                opacity: 0.8
-            });
-            const endpoint = new THREE.Mesh(endpointGeometry, endpointMaterial);
-            endpoint.position.set(vector.x, vector.y, 0.01);
-            endpoint.userData = { draggable: true, vectorType: label.toLowerCase() };
-            group.add(endpoint);
+        const time = performance.now();
+        const last = this.undoHistory[this.undoHistory.length - 1];
+        if (coalesceKey !== null && last?.coalesceKey === coalesceKey && this.redoHistory.length === 0 &&
+            time - last.time < this.HISTORY_COALESCE_DELAY) {
+            last.time = time;
+            return;
         }
 
-        // Label
-        const labelDiv = document.createElement('div');
-        labelDiv.className = 'vector-label';
-        labelDiv.textContent = label;
-        labelDiv.style.position = 'absolute';
-        labelDiv.style.color = `#${color.toString(16).padStart(6, '0')}`;
-        labelDiv.style.fontFamily = 'Inter, sans-serif';
-        labelDiv.style.fontWeight = '600';
-        labelDiv.style.fontSize = '14px';
-        labelDiv.style.pointerEvents = 'none';
-        labelDiv.style.zIndex = '1000';
+        // An action that changed nothing is replaced by the new one
+        const snapshot = this.getSnapshot();
+        if (last && this.snapshotsEqual(last.snapshot, snapshot)) {
+            this.undoHistory.pop();
+        }
 
-        group.userData = {
-            label: labelDiv,
-            vectorType: label.toLowerCase(),
-            color: color
-        };
+        this.undoHistory.push({ label, snapshot, coalesceKey, time });
+        this.redoHistory = [];
 
-        return group;
+        if (this.undoHistory.length > this.maxHistorySize) {
+            this.undoHistory.shift();
+        }
+
+        this.renderHistory();
     }
 
-    createDashedVector(vector, color, label) {
-        const group = new THREE.Group();
+    /**
+     * Undoes (negative) or redoes (positive) a number of actions and shows the scene after them.
+     * @param {number} steps
+     */
+    moveHistory(steps) {
+        const [from, to] = steps < 0 ? [this.undoHistory, this.redoHistory] : [this.redoHistory, this.undoHistory];
+        const count = Math.min(Math.abs(steps), from.length);
+        if (count === 0) return;
+
+        this.finishStateTransition();
+        this.finishCameraAnimation();
+
+        // Each entry moves to the other list with the snapshot from its other side
+        let snapshot = this.getSnapshot();
+        for (let i = 0; i < count; i++) {
+            const entry = from.pop();
+            to.push({ label: entry.label, snapshot, coalesceKey: null, time: 0 });
+            snapshot = entry.snapshot;
+        }
 
-        // Create dashed line material
-        const dashedMaterial = new THREE.LineDashedMaterial({
-            color: color,
-            linewidth: 2,
-            scale: 1,
-            dashSize: 0.2,
-            gapSize: 0.1,
-            transparent: true,
-            opacity: 0.6
-        });
+        this.applySnapshot(snapshot, true);
+        this.renderHistory();
+    }
 
-        // Arrow shaft (will be positioned later)
-        const shaftGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(vector.x, vector.y, 0)
-        ]);
-        const shaft = new THREE.Line(shaftGeometry, dashedMaterial);
-        shaft.computeLineDistances(); // Required for dashed lines
-        group.add(shaft);
+    undo() {
+        this.moveHistory(-1);
+    }
 
-        // Small arrow head for dashed vectors
-        const headHeight = 0.15 / 2.0
-        const headGeometry = new THREE.ConeGeometry(headHeight / 2.0, headHeight, 3);
-        const headMaterial = new THREE.MeshBasicMaterial({
-            color: color,
-            transparent: true,
-            opacity: 0.6
+    redo() {
+        this.moveHistory(1);
+    }
+
+    // Lists the undone actions after the current one, clicking an action goes to the scene after it
+    renderHistory() {
+        const labels = [
+            'start',
+            ...this.undoHistory.map(entry => entry.label),
+            ...this.redoHistory.map(entry => entry.label).reverse()
+        ];
+        const current = this.undoHistory.length;
+
+        const list = document.getElementById('history-list');
+        list.innerHTML = '';
+        labels.forEach((label, position) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'history-entry';
+            button.setAttribute('data-history-position', position);
+            button.textContent = label;
+            if (position === current) {
+                button.classList.add('current');
+                button.setAttribute('aria-current', 'step');
+            } else if (position > current) {
+                button.classList.add('undone');
+            }
+            item.appendChild(button);
+            list.appendChild(item);
         });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        group.add(head);
 
-        group.userData = {
-            vectorType: label.toLowerCase(),
-            color: color,
-            isDashed: true
+        // Scroll the list itself, not the page
+        const currentItem = list.children[current];
+        list.scrollTop = currentItem.offsetTop - list.clientHeight / 2;
+
+        document.getElementById('undo-btn').disabled = this.undoHistory.length === 0;
+        document.getElementById('redo-btn').disabled = this.redoHistory.length === 0;
+    }
+
+    /**
+     * @param {string} id Id of an example in the catalog
+     * @param {boolean} scroll Scroll the canvas into view, for the buttons in the blog
+     */
+    loadExample(id, scroll = true) {
+        const example = this.examples.get(id);
+        if (!example) return;
+
+        this.endWalkthrough();
+        this.endExercise();
+        this.saveState('loaded an example');
+        this.applyCatalogScene(example, true);
+
+        if (scroll) {
+            this.scrollToCanvas();
+        }
+    }
+
+    // Rows to bind each vector to an expression in t
+    renderTimelineBindings() {
+        const names = this.state.vector.vectors.map(v => v.name);
+
+        // Forget the animation of removed and renamed vectors
+        for (const map of [this.timeline.keyframes, this.timeline.bindings]) {
+            for (const name of map.keys()) {
+                if (!names.includes(name)) map.delete(name);
+            }
+        }
+
+        const container = document.getElementById('timeline-bindings');
+        container.innerHTML = '';
+        for (const name of names) {
+            const row = document.createElement('div');
+            row.className = 'timeline-binding';
+            row.innerHTML = `
+                <label for="timeline-binding-${name}">${name}(t) =</label>
+                <input id="timeline-binding-${name}" class="expression-input" type="text" data-binding="${name}"
+                    spellcheck="false" autocomplete="off" placeholder="keyframes">`;
+            row.querySelector('input').value = this.timeline.bindings.get(name)?.source ?? '';
+            container.appendChild(row);
+        }
+
+        this.renderTimelineKeyframes();
+    }
+
+    /**
+     * Binds a vector to an expression in t and the other vectors, an empty source removes the binding.
+     * @param {string} name
+     * @param {string} source
+     */
+    setTimelineBinding(name, source) {
+        const input = document.getElementById(`timeline-binding-${name}`);
+        input.classList.remove('invalid');
+        input.title = '';
+
+        if (source.trim() === '') {
+            this.timeline.bindings.delete(name);
+            return;
+        }
+
+        try {
+            const expression = new Expression(source);
+            this.evaluateTimelineBinding(expression, this.getExpressionVariables(), 0);
+            this.timeline.bindings.set(name, expression);
+        } catch (error) {
+            if (!(error instanceof ExpressionError)) throw error;
+            input.classList.add('invalid');
+            input.title = error.message;
+            this.timeline.bindings.delete(name);
+            return;
+        }
+
+        this.applyTimelineTime(this.timeline.time);
+    }
+
+    evaluateTimelineBinding(expression, variables, t) {
+        const result = expression.evaluate({ ...variables, t: t });
+        if (!result.isVector()) {
+            throw new ExpressionError('The expression must evaluate to a vector');
+        }
+        return result.toVector();
+    }
+
+    // Value of a vector at time t, null if it is not animated
+    getTimelineVector(name, t) {
+        const binding = this.timeline.bindings.get(name);
+        if (binding) {
+            try {
+                return this.evaluateTimelineBinding(binding, Object.fromEntries(this.timeline.base), t);
+            } catch (error) {
+                if (!(error instanceof ExpressionError)) throw error;
+                return null;
+            }
+        }
+
+        const keyframes = this.timeline.keyframes.get(name);
+        if (!keyframes) return null;
+
+        // Hold the first and last keyframe before and after them
+        const next = keyframes.findIndex(keyframe => keyframe.time >= t);
+        if (next === 0) return keyframes[0].vector;
+        if (next === -1) return keyframes[keyframes.length - 1].vector;
+
+        const from = keyframes[next - 1];
+        const to = keyframes[next];
+        return interpolateVector(from.vector, to.vector, (t - from.time) / (to.time - from.time));
+    }
+
+    // Remembers the vectors the bindings refer to, edits from here on can be undone in one step
+    captureTimeline() {
+        this.saveState('animated the vectors');
+        this.timeline.base = new Map(this.state.vector.vectors.map(v => [v.name, v.vector.clone()]));
+    }
+
+    // Hands the vectors back after they were edited, undone or loaded
+    releaseTimeline() {
+        this.stopTimelinePlayback();
+        this.timeline.base = null;
+    }
+
+    applyTimelineTime(t) {
+        if (!this.timeline.base) {
+            this.captureTimeline();
+        }
+        this.timeline.time = t;
+
+        for (const namedVector of this.state.vector.vectors) {
+            const vector = this.getTimelineVector(namedVector.name, t);
+            if (vector) {
+                namedVector.vector = vector.clone();
+            }
+        }
+        this.updateVectors();
+
+        document.getElementById('timeline-slider').value = Math.round(t * 1000);
+        document.getElementById('timeline-time').textContent = `t = ${t.toFixed(2)}`;
+    }
+
+    toggleTimelinePlayback() {
+        if (this.timelinePlayback) {
+            this.stopTimelinePlayback();
+        } else {
+            this.playTimeline();
+        }
+    }
+
+    playTimeline() {
+        if (!this.timeline.base) {
+            this.captureTimeline();
+        }
+
+        this.timelinePlayback = {
+            start: performance.now(),
+            startTime: this.timeline.time >= 1 ? 0 : this.timeline.time
         };
+        document.querySelector('#timeline-play-btn i').className = 'fa-solid fa-pause';
+    }
 
-        return group;
+    updateTimelinePlayback(time) {
+        const elapsed = (time - this.timelinePlayback.start) / this.timeline.duration;
+        this.applyTimelineTime((this.timelinePlayback.startTime + elapsed) % 1);
     }
 
-    createParallelogram(vectorA, vectorB, color) {
-        const group = new THREE.Group();
+    stopTimelinePlayback() {
+        if (!this.timelinePlayback) return;
 
-        // Calculate the four vertices of the parallelogram
-        const origin = new THREE.Vector3(0, 0, 0);
-        const vertexA = new THREE.Vector3(vectorA.x, vectorA.y, 0);
-        const vertexB = new THREE.Vector3(vectorB.x, vectorB.y, 0);
-        const vertexSum = new THREE.Vector3(vectorA.x + vectorB.x, vectorA.y + vectorB.y, 0);
+        this.timelinePlayback = null;
+        document.querySelector('#timeline-play-btn i').className = 'fa-solid fa-play';
+    }
 
-        // Create parallelogram geometry
-        const geometry = new THREE.BufferGeometry();
-        const vertices = new Float32Array([
-            // First triangle: origin, A, Sum
-            origin.x, origin.y, origin.z,
-            vertexA.x, vertexA.y, vertexA.z,
-            vertexSum.x, vertexSum.y, vertexSum.z,
-            // Second triangle: origin, Sum, B
-            origin.x, origin.y, origin.z,
-            vertexSum.x, vertexSum.y, vertexSum.z,
-            vertexB.x, vertexB.y, vertexB.z
-        ]);
+    // @param {number} seconds
+    setTimelineDuration(seconds) {
+        if (!(seconds > 0)) return;
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-        geometry.computeVertexNormals();
+        this.timeline.duration = seconds * 1000;
 
-        // Create material with transparency
-        const material = new THREE.MeshBasicMaterial({
-            color: color,
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.DoubleSide
-        });
+        // Continue from the current playhead at the new speed
+        if (this.timelinePlayback) {
+            this.stopTimelinePlayback();
+            this.playTimeline();
+        }
+    }
 
-        const parallelogram = new THREE.Mesh(geometry, material);
-        group.add(parallelogram);
+    // Records all vectors at the playhead
+    addTimelineKeyframe() {
+        const t = this.timeline.time;
 
-        // Add outline
-        const outlineGeometry = new THREE.BufferGeometry();
-        const outlineVertices = new Float32Array([
-            origin.x, origin.y, origin.z,
-            vertexA.x, vertexA.y, vertexA.z,
-            vertexSum.x, vertexSum.y, vertexSum.z,
-            vertexB.x, vertexB.y, vertexB.z,
-            origin.x, origin.y, origin.z  // Close the loop
-        ]);
-        outlineGeometry.setAttribute('position', new THREE.BufferAttribute(outlineVertices, 3));
+        for (const { name, vector } of this.state.vector.vectors) {
+            const keyframes = (this.timeline.keyframes.get(name) ?? []).filter(keyframe => Math.abs(keyframe.time - t) > 0.001);
+            keyframes.push({ time: t, vector: vector.clone() });
+            keyframes.sort((first, second) => first.time - second.time);
+            this.timeline.keyframes.set(name, keyframes);
+        }
 
-        const outlineMaterial = new THREE.LineBasicMaterial({
-            color: color,
-            linewidth: 2,
-            transparent: true,
-            opacity: 0.8
-        });
+        this.renderTimelineKeyframes();
+    }
+
+    clearTimelineKeyframes() {
+        this.timeline.keyframes.clear();
+        this.renderTimelineKeyframes();
+    }
+
+    // Marks the keyframe times above the slider
+    renderTimelineKeyframes() {
+        const times = new Set();
+        for (const keyframes of this.timeline.keyframes.values()) {
+            keyframes.forEach(keyframe => times.add(keyframe.time));
+        }
+
+        const track = document.getElementById('timeline-keyframes');
+        track.innerHTML = '';
+        for (const time of times) {
+            const marker = document.createElement('span');
+            marker.className = 'timeline-keyframe';
+            marker.style.left = `${time * 100}%`;
+            marker.title = `t = ${time.toFixed(2)}`;
+            track.appendChild(marker);
+        }
+    }
+
+    /**
+     * Renders the whole timeline once, frame by frame, and puts the playhead back afterwards.
+     * @param {number} fps
+     * @param {number} frameDelay time to wait after each frame in milliseconds
+     * @param {function(): void} onFrame called right after each frame is drawn to the canvas
+     */
+    async renderTimelineFrames(fps, frameDelay, onFrame) {
+        this.stopTimelinePlayback();
+        const previousTime = this.timeline.time;
+        const frameCount = Math.max(1, Math.round(this.timeline.duration / 1000 * fps));
+
+        this.setTimelineRecording(true);
+        try {
+            for (let frame = 0; frame < frameCount; frame++) {
+                this.applyTimelineTime(frame / frameCount);
+                this.renderer.render(this.scene, this.camera);
+                onFrame();
+                await new Promise(resolve => setTimeout(resolve, frameDelay));
+            }
+        } finally {
+            this.setTimelineRecording(false);
+            this.applyTimelineTime(previousTime);
+        }
+    }
+
+    setTimelineRecording(recording) {
+        this.isRecordingTimeline = recording;
+        for (const control of document.querySelectorAll('.timeline-panel button, .timeline-panel input')) {
+            control.disabled = recording;
+        }
+    }
+
+    async exportTimelineVideo() {
+        if (this.isRecordingTimeline) return;
+        if (!window.MediaRecorder || !this.canvas.captureStream || !MediaRecorder.isTypeSupported('video/webm')) {
+            alert('This browser can not record WebM videos.');
+            return;
+        }
 
-        const outline = new THREE.LineLoop(outlineGeometry, outlineMaterial);
-        group.add(outline);
+        // Frames are only taken when requested, in real time so that the video has the right speed
+        const stream = this.canvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        try {
+            const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+            const chunks = [];
+            recorder.addEventListener('dataavailable', (e) => chunks.push(e.data));
+            const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
 
-        group.userData = {
-            vectorType: 'parallelogram',
-            color: color
-        };
+            recorder.start();
+            await this.renderTimelineFrames(this.TIMELINE_VIDEO_FPS, 1000 / this.TIMELINE_VIDEO_FPS, () => track.requestFrame());
+            recorder.stop();
+            await stopped;
 
-        return group;
+            this.downloadBlob(new Blob(chunks, { type: 'video/webm' }), 'geoprodviz2d.webm');
+        } catch (error) {
+            alert(`Could not export the video:\n${error.message}`);
+        } finally {
+            // Also ends a recording that was cut short
+            track.stop();
+        }
     }
 
-    updateVector(vectorMesh, vector) {
-        // Update shaft
-        const shaft = vectorMesh.children[0];
-        const positions = shaft.geometry.attributes.position.array;
-        positions[3] = vector.x;
-        positions[4] = vector.y;
-        shaft.geometry.attributes.position.needsUpdate = true;
+    async exportTimelineGIF() {
+        if (this.isRecordingTimeline) return;
 
-        // Update arrow head
-        const head = vectorMesh.children[1];
-        const angle = Math.atan2(vector.y, vector.x);
-        head.position.set(vector.x, vector.y, 0);
-        head.rotation.z = angle - Math.PI / 2;
+        const width = Math.min(this.TIMELINE_GIF_WIDTH, this.canvas.width);
+        const height = Math.round(width * this.canvas.height / this.canvas.width);
+        const frameCanvas = document.createElement('canvas');
+        frameCanvas.width = width;
+        frameCanvas.height = height;
+        const context = frameCanvas.getContext('2d', { willReadFrequently: true });
 
-        // Update endpoint if it exists
-        if (vectorMesh.children[2]) {
-            vectorMesh.children[2].position.set(vector.x, vector.y, 0.01);
-        }
+        try {
+            const frames = [];
+            await this.renderTimelineFrames(this.TIMELINE_GIF_FPS, 0, () => {
+                context.drawImage(this.canvas, 0, 0, width, height);
+                frames.push(indexGIFColors(context.getImageData(0, 0, width, height).data));
+            });
 
-        this.needsRender = true;
+            const gif = encodeGIF(frames, width, height, Math.round(100 / this.TIMELINE_GIF_FPS));
+            this.downloadBlob(new Blob([gif], { type: 'image/gif' }), 'geoprodviz2d.gif');
+        } catch (error) {
+            alert(`Could not export the GIF:\n${error.message}`);
+        }
     }
 
-    updateDashedVector(vectorMesh, startPoint, endPoint) {
-        // Update shaft
-        const shaft = vectorMesh.children[0];
-        const positions = shaft.geometry.attributes.position.array;
-        positions[0] = startPoint.x;
-        positions[1] = startPoint.y;
-        positions[3] = endPoint.x;
-        positions[4] = endPoint.y;
-        shaft.geometry.attributes.position.needsUpdate = true;
-        shaft.computeLineDistances(); // Required for dashed lines
-
-        // Update arrow head
-        const head = vectorMesh.children[1];
-        const vectorX = endPoint.x - startPoint.x;
-        const vectorY = endPoint.y - startPoint.y;
-        const angle = Math.atan2(vectorY, vectorX);
-        head.position.set(endPoint.x, endPoint.y, 0);
-        head.rotation.z = angle - Math.PI / 2;
+    /**
+     * Starts a lesson that is shown one step at a time over the canvas.
+     * Undo returns to the scene from before the walkthrough.
+     * @param {{state: VectorVisualizerState, camera?: string, caption: string, highlight?: string[]}[]} steps
+     *   highlight holds visibility keys, everything else that is shown is dimmed
+     */
+    startWalkthrough(steps) {
+        this.endExercise();
+        this.saveState('started a walkthrough');
+        this.walkthrough = { steps: steps, index: 0 };
+        document.getElementById('walkthrough').classList.remove('hidden');
 
-        this.needsRender = true;
+        this.showWalkthroughStep(0);
+        this.scrollToCanvas();
     }
 
-    updateParallelogram(parallelogramMesh, vectorA, vectorB) {
-        // Calculate the four vertices of the parallelogram
-        const origin = new THREE.Vector3(0, 0, 0);
-        const vertexA = new THREE.Vector3(vectorA.x, vectorA.y, 0);
-        const vertexB = new THREE.Vector3(vectorB.x, vectorB.y, 0);
-        const vertexSum = new THREE.Vector3(vectorA.x + vectorB.x, vectorA.y + vectorB.y, 0);
-
-        // Update the parallelogram mesh (first child)
-        const parallelogram = parallelogramMesh.children[0];
-        const positions = parallelogram.geometry.attributes.position.array;
+    showWalkthroughStep(index) {
+        const { steps } = this.walkthrough;
+        if (index < 0 || index >= steps.length) return;
 
-        // First triangle: origin, A, Sum
-        positions[0] = origin.x; positions[1] = origin.y; positions[2] = origin.z;
-        positions[3] = vertexA.x; positions[4] = vertexA.y; positions[5] = vertexA.z;
-        positions[6] = vertexSum.x; positions[7] = vertexSum.y; positions[8] = vertexSum.z;
+        this.walkthrough.index = index;
+        const step = steps[index];
 
-        // Second triangle: origin, Sum, B
-        positions[9] = origin.x; positions[10] = origin.y; positions[11] = origin.z;
-        positions[12] = vertexSum.x; positions[13] = vertexSum.y; positions[14] = vertexSum.z;
-        positions[15] = vertexB.x; positions[16] = vertexB.y; positions[17] = vertexB.z;
+        // Work on a copy, so that editing the scene does not alter the lesson
+        this.setState(step.state.clone(), true);
+        if (step.camera) {
+            this.setCameraPreset(step.camera);
+        }
+        this.setHighlight(step.highlight ?? null);
 
-        parallelogram.geometry.attributes.position.needsUpdate = true;
-        parallelogram.geometry.computeVertexNormals();
+        document.getElementById('walkthrough-progress').textContent = `${index + 1} / ${steps.length}`;
+        document.getElementById('walkthrough-previous-btn').disabled = index === 0;
+        document.getElementById('walkthrough-next-btn').disabled = index === steps.length - 1;
 
-        // Update the outline (second child)
-        const outline = parallelogramMesh.children[1];
-        const outlinePositions = outline.geometry.attributes.position.array;
+        const caption = document.getElementById('walkthrough-caption');
+        caption.innerHTML = step.caption;
+        if (window.MathJax?.typesetPromise) {
+            window.MathJax.typesetPromise([caption]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+            });
+        }
+    }
 
-        outlinePositions[0] = origin.x; outlinePositions[1] = origin.y; outlinePositions[2] = origin.z;
-        outlinePositions[3] = vertexA.x; outlinePositions[4] = vertexA.y; outlinePositions[5] = vertexA.z;
-        outlinePositions[6] = vertexSum.x; outlinePositions[7] = vertexSum.y; outlinePositions[8] = vertexSum.z;
-        outlinePositions[9] = vertexB.x; outlinePositions[10] = vertexB.y; outlinePositions[11] = vertexB.z;
-        outlinePositions[12] = origin.x; outlinePositions[13] = origin.y; outlinePositions[14] = origin.z;
+    endWalkthrough() {
+        if (!this.walkthrough) return;
 
-        outline.geometry.attributes.position.needsUpdate = true;
+        this.walkthrough = null;
+        this.setHighlight(null);
+        document.getElementById('walkthrough').classList.add('hidden');
+    }
 
-        this.needsRender = true;
+    // The scene objects that the visibility key of a sidebar row shows
+    getVisibilityObjects(key) {
+        switch (key) {
+            case 'brot':
+                return [this.vectorBRotMesh, this.vectorBRotDashedMesh];
+            case 'dot':
+                return [this.dotMesh, this.vectorADashedMeshDot, this.vectorBRotDashedMesh];
+            case 'wedge':
+                return [this.wedgeMesh, this.vectorADashedMeshWedge, this.vectorBDashedMesh];
+            case 'prodABC':
+                return [this.vectorProdABCMesh];
+            case 'prodCAB':
+                return [this.vectorProdCABMesh];
+            case 'expression':
+                return [this.expressionVectorMesh, this.expressionBivectorMesh];
+            case 'rotor':
+                return [this.rotorArcMesh];
+            case 'sandwich':
+                return [this.sandwichMesh, this.sandwichArcMesh, this.sandwichAnimationMesh];
+            case 'reflect':
+                return [this.mirrorLineMesh, this.reflectMesh, this.reflectDashedMesh];
+            case 'mirrorPerp':
+                return [this.mirrorPerpLineMesh];
+            case 'reflect2':
+                return [this.reflect2MirrorLineMesh, this.reflect2Mesh, this.reflect2DashedMesh, this.reflect2ArcMesh];
+            case 'project':
+                return [this.projectMesh, this.projectDashedMesh];
+            case 'reject':
+                return [this.rejectMesh, this.rejectDashedMesh];
+            default:
+                return this.vectorMeshes.has(key) ? [this.vectorMeshes.get(key)] : [];
+        }
     }
 
-    updateVectors() {
-        if (this.wedgeMesh) {
-            this.updateParallelogram(this.wedgeMesh, this.state.vector.A, this.state.vector.B);
+    /**
+     * Emphasizes the objects and sidebar rows of the given visibility keys by dimming all others.
+     * @param {string[]|null} keys null shows everything normally
+     */
+    setHighlight(keys) {
+        const highlighted = new Set((keys ?? []).flatMap(key => this.getVisibilityObjects(key)));
+        const previouslyDimmed = this.dimmedObjects;
+
+        // Grid, axes and unit circle are never dimmed
+        const backgroundObjects = [this.gridMesh, this.axesMesh, this.unitCircleMesh];
+        this.dimmedObjects = new Set(keys
+            ? this.getSceneObjects().filter(object => !highlighted.has(object) && !backgroundObjects.includes(object))
+            : []);
+
+        for (const object of new Set([...previouslyDimmed, ...this.dimmedObjects])) {
+            this.setObjectOpacity(object, 1);
         }
 
-        if (this.dotMesh) {
-            this.updateParallelogram(this.dotMesh, this.state.vector.A, this.state.vector.B.rotate());
+        for (const row of document.querySelectorAll('.info-panel .vector-info')) {
+            const circle = row.querySelector('.vector-color[data-vector-type]');
+            row.classList.toggle('highlighted', Boolean(keys && circle && keys.includes(circle.getAttribute('data-vector-type'))));
+        }
+        for (const group of this.labelledMeshes) {
+            group.userData.label.classList.toggle('dimmed', this.dimmedObjects.has(group));
         }
+    }
 
-        // Update dashed vectors for parallelogram construction
-        if (this.vectorADashedMeshWedge && this.vectorBDashedMesh) {
-            const vectorSum = this.state.vector.A.add(this.state.vector.B)
-            // Vector A dashed: from tip of B to tip of Sum
-            this.updateDashedVector(
-                this.vectorADashedMeshWedge,
-                { x: this.state.vector.B.x, y: this.state.vector.B.y },
-                { x: vectorSum.x, y: vectorSum.y }
-            );
+    scrollToCanvas() {
+        // Store current scroll position before scrolling
+        this.previousScrollPosition = window.pageYOffset || document.documentElement.scrollTop;
 
-            // Vector B dashed: from tip of A to tip of Sum
-            this.updateDashedVector(
-                this.vectorBDashedMesh,
-                { x: this.state.vector.A.x, y: this.state.vector.A.y },
-                { x: vectorSum.x, y: vectorSum.y }
-            );
-        }
+        const canvas = document.getElementById('threejs-canvas');
+        if (canvas) {
+            this.isScrollingToCanvas = true;
+            canvas.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
-        if (this.vectorADashedMeshDot && this.vectorBRotDashedMesh) {
-            const vectorSum = this.state.vector.A.add(this.state.vector.B.rotate());
+            // Show return button after a delay to allow scroll to complete
+            setTimeout(() => {
+                this.showReturnButton();
+                this.isScrollingToCanvas = false;
+            }, 1000);
+        }
+    }
 
-            this.updateDashedVector(
-                this.vectorADashedMeshDot,
-                { x: this.state.vector.B.rotate().x, y: this.state.vector.B.rotate().y },
-                { x: vectorSum.x, y: vectorSum.y }
-            );
+    showReturnButton() {
+        if (this.returnButton) {
+            this.returnButton.classList.remove('hidden');
+        }
+    }
 
-            this.updateDashedVector(
-                this.vectorBRotDashedMesh,
-                { x: this.state.vector.A.x, y: this.state.vector.A.y },
-                { x: vectorSum.x, y: vectorSum.y }
-            );
+    hideReturnButton() {
+        if (this.returnButton) {
+            this.returnButton.classList.add('hidden');
         }
+    }
 
-        this.updateVector(this.vectorProdABCMesh, this.state.vector.A.prod_vector(this.state.vector.B).prod_vector(this.state.vector.C));
-        this.updateVector(this.vectorProdCABMesh, this.state.vector.C.prod_vector(this.state.vector.A).prod_vector(this.state.vector.B));
+    returnToPreviousPosition() {
+        if (this.previousScrollPosition !== undefined) {
+            window.scrollTo({
+                top: this.previousScrollPosition,
+                behavior: 'smooth'
+            });
 
-        this.updateUI();
+            this.hideReturnButton();
+        }
     }
 
-    updateUI() {
-        // Update LaTeX vector displays
-        this.updateVectorDisplay('vector-a-display', this.state.vector.A.x, this.state.vector.A.y);
-        this.updateVectorDisplay('vector-b-display', this.state.vector.B.x, this.state.vector.B.y);
-        this.updateVectorDisplay('vector-c-display', this.state.vector.C.x, this.state.vector.C.y);
-        this.updateVectorDisplay('vector-brot-display', this.state.vector.B.rotate().x, this.state.vector.B.rotate().y);
-        this.updateWedgeDisplay('wedge-a-b-display', this.state.vector.A, this.state.vector.B);
-        this.updateDotDisplay('dot-a-b-display', this.state.vector.A, this.state.vector.B)
-        this.updateVectorDisplay('prodABC-display', this.state.vector.A.prod_vector(this.state.vector.B).prod_vector(this.state.vector.C).x, this.state.vector.A.prod_vector(this.state.vector.B).prod_vector(this.state.vector.C).y);
-        this.updateVectorDisplay('prodCAB-display', this.state.vector.C.prod_vector(this.state.vector.A).prod_vector(this.state.vector.B).x, this.state.vector.C.prod_vector(this.state.vector.A).prod_vector(this.state.vector.B).y);
-        this.updateProdNormDisplay('prodABC-norm-display', this.state.vector.A, this.state.vector.B, this.state.vector.C, '\\vec{a}\\vec{b}\\vec{c}', 'abc');
-        this.updateProdNormDisplay('prodCAB-norm-display', this.state.vector.C, this.state.vector.A, this.state.vector.B, '\\vec{c}\\vec{a}\\vec{b}', 'cab');
-
-        // Update individual vector norms
-        this.updateVectorNormDisplay('vector-a-norm-display', this.state.vector.A, 'a');
-        this.updateVectorNormDisplay('vector-b-norm-display', this.state.vector.B, 'b');
-        this.updateVectorNormDisplay('vector-c-norm-display', this.state.vector.C, 'c');
+    /**
+     * Serializes everything needed to recreate the current scene.
+     * @returns {object} Plain object accepted by parseStateJSON
+     */
+    getStateJSON() {
+        return {
+            version: STATE_SCHEMA_VERSION,
+            vectors: this.state.vector.vectors.map(v => {
+                const json = { name: v.name, x: v.vector.x, y: v.vector.y };
+                if (v.color) json.color = v.color;
+                return json;
+            }),
+            visibility: { ...this.state.visibility },
+            expression: document.getElementById('expression-input').value,
+            camera: {
+                distance: this.cameraDistance,
+                rotationX: this.cameraRotationX,
+                rotationY: this.cameraRotationY,
+                target: { x: this.cameraTarget.x, y: this.cameraTarget.y, z: this.cameraTarget.z },
+                orthographic: this.isOrthographic
+            },
+            view: {
+                grid: this.gridMesh.visible,
+                unitCircle: this.unitCircleMesh.visible
+            }
+        };
     }
 
-    updateVectorDisplay(elementId, x, y) {
-        const element = document.getElementById(elementId);
+    /**
+     * Returns an error message naming the invalid field if json can not be applied, otherwise null.
+     * @param {object} json State of the current schema version
+     * @returns {string|null}
+     */
+    validateStateJSON(json) {
+        const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+        if (!isObject(json)) return 'The scene must be a JSON object';
+        if (json.version !== STATE_SCHEMA_VERSION) return `version: must be ${STATE_SCHEMA_VERSION}`;
+        if (!Array.isArray(json.vectors)) return 'vectors: must be a list';
+
+        // Check that each vector has a valid unique name and x and y coordinates
+        const names = new Set();
+        for (const [i, vector] of json.vectors.entries()) {
+            const path = `vectors[${i}]`;
+            if (!isObject(vector)) return `${path}: must be an object`;
+            if (typeof vector.name !== 'string' || !VECTOR_NAME_REGEX.test(vector.name)) {
+                return `${path}.name: must start with a lowercase letter followed by lowercase letters, digits or underscores`;
+            }
+            if (RESERVED_VECTOR_NAMES.has(vector.name)) return `${path}.name: '${vector.name}' is reserved`;
+            if (names.has(vector.name)) return `${path}.name: '${vector.name}' is used more than once`;
+            if (!Number.isFinite(vector.x)) return `${path}.x: must be a finite number`;
+            if (!Number.isFinite(vector.y)) return `${path}.y: must be a finite number`;
+            if (vector.color !== undefined && !VECTOR_COLOR_REGEX.test(vector.color)) {
+                return `${path}.color: must be a hex color like #1abc9c`;
+            }
+            names.add(vector.name);
+        }
 
-        const matrixContent = element.querySelector('.matrix-content');
-        if (matrixContent) {
-            // New format with draggable spans in matrix
-            const xSpan = matrixContent.querySelector('[data-component="x"]');
-            const ySpan = matrixContent.querySelector('[data-component="y"]');
+        // Check visibility structure
+        if (!isObject(json.visibility)) return 'visibility: must be an object';
+        for (const [key, value] of Object.entries(json.visibility)) {
+            if (typeof value !== 'boolean') return `visibility.${key}: must be true or false`;
+        }
 
-            if (xSpan && ySpan) {
-                xSpan.textContent = x.toFixed(2);
-                ySpan.textContent = y.toFixed(2);
-                return;
-            }
+        // Optional parts of the scene
+        if (json.expression !== undefined && typeof json.expression !== 'string') {
+            return 'expression: must be a string';
         }
 
-        // Fallback to LaTeX format for computed vectors
-        const latex = `\\begin{pmatrix} ${x.toFixed(2)} \\\\ ${y.toFixed(2)} \\end{pmatrix}`;
+        if (json.camera !== undefined) {
+            if (!isObject(json.camera)) return 'camera: must be an object';
+            for (const key of ['distance', 'rotationX', 'rotationY']) {
+                if (!Number.isFinite(json.camera[key])) return `camera.${key}: must be a finite number`;
+            }
+            if (json.camera.target !== undefined) {
+                if (!isObject(json.camera.target)) return 'camera.target: must be an object';
+                for (const key of ['x', 'y', 'z']) {
+                    if (!Number.isFinite(json.camera.target[key])) return `camera.target.${key}: must be a finite number`;
+                }
+            }
+            if (json.camera.orthographic !== undefined && typeof json.camera.orthographic !== 'boolean') {
+                return 'camera.orthographic: must be true or false';
+            }
+        }
 
-        // Re-render MathJax if available
-        if (window.MathJax?.typesetPromise) {
-            element.innerHTML = `\\(${latex}\\)`;
-            window.MathJax.typesetPromise([element]).catch((err) => {
-                console.warn('MathJax rendering error:', err);
-                // Fallback to simple parentheses display
-                element.innerHTML = `<div class="vector-fallback">
-                    <span>(</span>
-                    <div class="vector-coords">
-                        <span>${x.toFixed(2)}</span>
-                        <span>${y.toFixed(2)}</span>
-                    </div>
-                    <span>)</span>
-                </div>`;
-            });
-        } else {
-            // Fallback for when MathJax isn't loaded
-            element.innerHTML = `<div class="vector-fallback">
-                <span>(</span>
-                <div class="vector-coords">
-                    <span>${x.toFixed(1)}</span>
-                    <span>${y.toFixed(1)}</span>
-                </div>
-                <span>)</span>
-            </div>`;
+        if (json.view !== undefined) {
+            if (!isObject(json.view)) return 'view: must be an object';
+            for (const key of ['grid', 'unitCircle']) {
+                if (typeof json.view[key] !== 'boolean') return `view.${key}: must be true or false`;
+            }
         }
-    }
 
-    updateDotDisplay(elementId, vectorA, vectorB) {
-        const element = document.getElementById(elementId);
+        return null;
+    }
 
-        const dot = vectorA.dot(vectorB);
+    /**
+     * Migrates and validates a state JSON of any version.
+     * @param {object} json
+     * @returns {object} State of the current schema version
+     * @throws {StateValidationError}
+     */
+    parseStateJSON(json) {
+        const migrated = migrateStateJSON(json);
 
-        // Update the entire LaTeX expression
-        const latex = `\\vec{a}\\cdot\\vec{b}I = \\vec{a}\\wedge\\vec{b}_\\perp = ${dot.toFixed(2)} I`;
+        const error = this.validateStateJSON(migrated);
+        if (error) throw new StateValidationError(error);
 
-        // Re-render MathJax if available
-        if (window.MathJax?.typesetPromise) {
-            element.innerHTML = `$${latex}$`;
-            window.MathJax.typesetPromise([element]).catch((err) => {
-                console.warn('MathJax rendering error:', err);
-                // Fallback to simple text display
-                element.innerHTML = `a.bI = ${dot.toFixed(2)} I`;
-            });
-        } else {
-            // Fallback for when MathJax isn't loaded
-            element.innerHTML = `a.bI = ${dot.toFixed(2)} I`;
-        }
+        return migrated;
     }
 
-    updateWedgeDisplay(elementId, vectorA, vectorB) {
-        const element = document.getElementById(elementId);
+    /**
+     * Replaces the scene with a state returned by parseStateJSON.
+     * @param {object} json
+     */
+    applyStateJSON(json) {
+        const vectors = new VectorState(json.vectors.map(v =>
+            new NamedVector(v.name, new Vector2(v.x, v.y), v.color ?? null)
+        ));
+        // Keys missing from the JSON keep their default
+        const visibility = { ...new VectorVisualizerState().visibility, ...json.visibility };
+
+        if (json.expression !== undefined) {
+            document.getElementById('expression-input').value = json.expression;
+            this.setExpression(json.expression);
+        }
 
-        const wedge = vectorA.wedge(vectorB);
+        this.setState(new VectorVisualizerState(vectors, visibility));
 
-        // Update the entire LaTeX expression
-        const latex = `\\vec{a}\\wedge\\vec{b} = ${wedge.toFixed(2)} I`;
+        if (json.camera) {
+            this.cameraDistance = Math.max(this.MIN_DISTANCE, Math.min(this.MAX_DISTANCE, json.camera.distance));
+            this.cameraRotationX = json.camera.rotationX;
+            this.cameraRotationY = json.camera.rotationY;
+            const target = json.camera.target ?? { x: 0, y: 0, z: 0 };
+            this.cameraTarget.set(target.x, target.y, target.z);
+            this.setOrthographic(json.camera.orthographic ?? false, false);
+        }
 
-        // Re-render MathJax if available
-        if (window.MathJax?.typesetPromise) {
-            element.innerHTML = `$${latex}$`;
-            window.MathJax.typesetPromise([element]).catch((err) => {
-                console.warn('MathJax rendering error:', err);
-                // Fallback to simple text display
-                element.innerHTML = `a∧b = ${wedge.toFixed(2)} I`;
-            });
-        } else {
-            // Fallback for when MathJax isn't loaded
-            element.innerHTML = `a∧b = ${wedge.toFixed(2)} I`;
+        if (json.view) {
+            this.gridMesh.visible = json.view.grid;
+            this.unitCircleMesh.visible = json.view.unitCircle;
+            this.needsRender = true;
         }
     }
 
-    updateProdNormDisplay(elementId, vectorA, vectorB, vectorC, latexName, fallbackName) {
-        const element = document.getElementById(elementId);
+    getPermalink() {
+        const url = new URL(window.location.href);
+        url.hash = PERMALINK_HASH_PREFIX + encodeURIComponent(JSON.stringify(this.getStateJSON()));
+        return url.toString();
+    }
 
-        const norm = norm2(vectorA.prod_vector(vectorB).prod_vector(vectorC));
+    /**
+     * Reads the state from the URL hash, without applying it.
+     * @returns {object|null} the validated state JSON, or null if the link holds no valid state
+     */
+    getStateFromURL() {
+        const hash = window.location.hash;
+        if (!hash.startsWith(PERMALINK_HASH_PREFIX)) return null;
 
-        const latex = `\\|${latexName}\\| = ${norm.toFixed(2)}`;
+        let json;
+        try {
+            json = JSON.parse(decodeURIComponent(hash.slice(PERMALINK_HASH_PREFIX.length)));
+        } catch (error) {
+            console.warn('Could not parse the state in the link:', error);
+            return null;
+        }
 
-        // Re-render MathJax if available
-        if (window.MathJax?.typesetPromise) {
-            element.innerHTML = `$${latex}$`;
-            window.MathJax.typesetPromise([element]).catch((err) => {
-                console.warn('MathJax rendering error:', err);
-                // Fallback to simple text display
-                element.innerHTML = `||${fallbackName}|| = ${norm.toFixed(2)}`;
-            });
-        } else {
-            // Fallback for when MathJax isn't loaded
-            element.innerHTML = `||${fallbackName}|| = ${norm.toFixed(2)}`;
+        try {
+            return this.parseStateJSON(json);
+        } catch (error) {
+            if (!(error instanceof StateValidationError)) throw error;
+            console.warn('The state in the link is invalid:', error.message);
+            return null;
         }
     }
 
-    updateVectorNormDisplay(elementId, vector, vectorName) {
-        const element = document.getElementById(elementId);
-        const norm = norm2(vector);
-
-        // Update the entire LaTeX expression
-        const latex = `\\|\\vec{${vectorName}}\\| = ${norm.toFixed(2)}`;
+    // Keeps the URL hash and the saved session in sync with the scene without flooding the browser history
+    schedulePermalinkUpdate() {
+        clearTimeout(this.permalinkTimeout);
+        this.permalinkTimeout = setTimeout(() => {
+            this.permalinkTimeout = null;
+            history.replaceState(null, '', this.getPermalink());
+            this.writeStorage(SESSION_STORAGE_KEY, this.getStateJSON());
+        }, this.PERMALINK_UPDATE_DELAY);
+    }
 
-        // Re-render MathJax if available
-        if (window.MathJax?.typesetPromise) {
-            element.innerHTML = `$${latex}$`;
-            window.MathJax.typesetPromise([element]).catch((err) => {
-                console.warn('MathJax rendering error:', err);
-                // Fallback to simple text display
-                element.innerHTML = `||${vectorName}|| = ${norm.toFixed(2)}`;
-            });
-        } else {
-            // Fallback for when MathJax isn't loaded
-            element.innerHTML = `||${vectorName}|| = ${norm.toFixed(2)}`;
+    // Returns the parsed JSON stored under key, or null if there is none or the storage is unavailable
+    readStorage(key) {
+        try {
+            const value = localStorage.getItem(key);
+            return value === null ? null : JSON.parse(value);
+        } catch (error) {
+            console.warn(`Could not read ${key} from the local storage:`, error);
+            return null;
         }
     }
 
-    updateMeshVisibility() {
-        this.vectorAMesh.visible = this.state.visibility.a;
+    // Returns false if the storage is unavailable or full
+    writeStorage(key, json) {
+        try {
+            localStorage.setItem(key, JSON.stringify(json));
+            return true;
+        } catch (error) {
+            console.warn(`Could not write ${key} to the local storage:`, error);
+            return false;
+        }
+    }
 
-        this.vectorBMesh.visible = this.state.visibility.b;
+    // Reopens the scene of the last visit
+    restoreSession() {
+        const json = this.readStorage(SESSION_STORAGE_KEY);
+        if (json === null) return;
 
-        this.vectorCMesh.visible = this.state.visibility.c;
+        try {
+            this.applyStateJSON(this.parseStateJSON(json));
+        } catch (error) {
+            if (!(error instanceof StateValidationError)) throw error;
+            console.warn('The saved session is invalid:', error.message);
+        }
+    }
 
-        this.vectorBRotMesh.visible = this.state.visibility.brot;
+    /**
+     * Validates a preset library as stored or exported and migrates the scenes in it.
+     * @param {object} json
+     * @returns {{name: string, scene: object}[]}
+     * @throws {StateValidationError}
+     */
+    parsePresetLibrary(json) {
+        if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+            throw new StateValidationError('The library must be a JSON object');
+        }
+        if (json.version !== PRESET_LIBRARY_VERSION) {
+            throw new StateValidationError(`must be ${PRESET_LIBRARY_VERSION}`, 'version');
+        }
+        if (!Array.isArray(json.presets)) {
+            throw new StateValidationError('must be a list', 'presets');
+        }
 
-        this.dotMesh.visible = this.state.visibility.dot;
+        return json.presets.map((preset, i) => {
+            if (typeof preset?.name !== 'string' || preset.name.trim() === '') {
+                throw new StateValidationError('must be a non-empty string', `presets[${i}].name`);
+            }
+            try {
+                return { name: preset.name, scene: this.parseStateJSON(preset.scene) };
+            } catch (error) {
+                if (!(error instanceof StateValidationError)) throw error;
+                throw new StateValidationError(error.message, `presets[${i}].scene`);
+            }
+        });
+    }
 
-        this.wedgeMesh.visible = this.state.visibility.wedge;
+    getPresetLibraryJSON() {
+        return { version: PRESET_LIBRARY_VERSION, presets: this.presets };
+    }
 
-        this.vectorADashedMeshWedge.visible = this.state.visibility.wedge && this.state.visibility.a;
+    loadPresets() {
+        const json = this.readStorage(PRESETS_STORAGE_KEY);
+        if (json !== null) {
+            try {
+                this.presets = this.parsePresetLibrary(json);
+            } catch (error) {
+                if (!(error instanceof StateValidationError)) throw error;
+                console.warn('The saved scenes are invalid:', error.message);
+            }
+        }
 
-        this.vectorBDashedMesh.visible = this.state.visibility.wedge && this.state.visibility.b;
+        this.renderPresets();
+    }
 
-        this.vectorADashedMeshDot.visible = this.state.visibility.dot && this.state.visibility.a;
+    savePresets() {
+        if (!this.writeStorage(PRESETS_STORAGE_KEY, this.getPresetLibraryJSON())) {
+            alert('Could not save your scenes in this browser, export them to keep them.');
+        }
+        this.renderPresets();
+    }
 
-        this.vectorBRotDashedMesh.visible = this.state.visibility.dot && this.state.visibility.brot;
+    renderPresets() {
+        const list = document.getElementById('preset-list');
+        list.innerHTML = '';
+
+        this.presets.forEach((preset, index) => {
+            const item = document.createElement('li');
+            item.className = 'preset-item';
+            item.innerHTML = `
+                <button class="preset-load" data-preset-action="load" title="Open this scene"></button>
+                <button class="btn btn-normalize" data-preset-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                    <i class="fa-solid fa-arrow-up"></i>
+                </button>
+                <button class="btn btn-normalize" data-preset-action="down" title="Move down" ${index === this.presets.length - 1 ? 'disabled' : ''}>
+                    <i class="fa-solid fa-arrow-down"></i>
+                </button>
+                <button class="btn btn-normalize" data-preset-action="rename" title="Rename">
+                    <i class="fa-solid fa-pen"></i>
+                </button>
+                <button class="btn btn-normalize" data-preset-action="delete" title="Delete">
+                    <i class="fa-solid fa-trash"></i>
+                </button>`;
+            item.setAttribute('data-preset-index', index);
+            // Names are user input, so they are set as text
+            item.querySelector('.preset-load').textContent = preset.name;
+            list.appendChild(item);
+        });
 
-        this.vectorProdABCMesh.visible = this.state.visibility.prodABC;
+        document.getElementById('preset-empty').hidden = this.presets.length > 0;
+    }
 
-        this.vectorProdCABMesh.visible = this.state.visibility.prodCAB;
+    savePreset() {
+        const name = window.prompt('Name of the scene:', `Scene ${this.presets.length + 1}`)?.trim();
+        if (!name) return;
 
-        this.needsRender = true;
+        this.presets.push({ name, scene: this.getStateJSON() });
+        this.savePresets();
     }
 
-    updateCanvasSize() {
-        const container = document.querySelector('.canvas-container');
-        const width = container.clientWidth;
-        const height = container.clientHeight;
+    loadPreset(index) {
+        const preset = this.presets[index];
 
-        this.renderer.setSize(width, height);
+        this.endWalkthrough();
+        this.endExercise();
+        this.saveState(`opened ${preset.name}`);
+        this.applyStateJSON(preset.scene);
+    }
 
-        const aspect = width / height;
-        this.camera.aspect = aspect;
-        this.camera.updateProjectionMatrix();
+    renamePreset(index) {
+        const preset = this.presets[index];
+        const name = window.prompt(`Rename ${preset.name} to:`, preset.name)?.trim();
+        if (!name || name === preset.name) return;
 
-        this.needsRender = true;
+        preset.name = name;
+        this.savePresets();
     }
 
-    updateCameraPosition() {
-        const position = new THREE.Vector3(0, 0, this.cameraDistance);
-
-        position.applyAxisAngle(new THREE.Vector3(1, 0, 0), this.cameraRotationX);
-        position.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.cameraRotationY);
+    deletePreset(index) {
+        if (!window.confirm(`Delete ${this.presets[index].name}?`)) return;
 
-        this.camera.position.copy(position);
-        this.camera.lookAt(0, 0, 0);
-        this.camera.updateMatrixWorld();
+        this.presets.splice(index, 1);
+        this.savePresets();
+    }
 
-        // Hide Z-axis when camera is close to top-down view
-        this.updateZAxisVisibility();
+    // Swaps a preset with its neighbor above (-1) or below (1)
+    movePreset(index, offset) {
+        const other = index + offset;
+        if (other < 0 || other >= this.presets.length) return;
 
-        this.needsRender = true;
+        [this.presets[index], this.presets[other]] = [this.presets[other], this.presets[index]];
+        this.savePresets();
     }
 
-    updateZAxisVisibility() {
-        if (this.axesMesh && this.axesMesh.children.length >= 3) {
-            const zAxis = this.axesMesh.children[2]; // Z-axis is the third child
-            const rotationThreshold = 0.1; // Radians
-            
-            zAxis.visible = Math.abs(this.cameraRotationX) > rotationThreshold || 
-                                  Math.abs(this.cameraRotationY) > rotationThreshold;
-        }
+    exportPresets() {
+        const json = JSON.stringify(this.getPresetLibraryJSON(), null, 2);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), 'geoprodviz2d-scenes.json');
     }
 
-    updateVisibility(target, vectorType) {
-        // Update the UI color circle appearance
-        if (this.state.visibility[vectorType]) {
-            target.classList.remove('hidden');
-        } else {
-            target.classList.add('hidden');
+    // Adds the scenes of an exported library after the existing ones
+    async importPresets(file) {
+        let presets;
+        try {
+            presets = this.parsePresetLibrary(JSON.parse(await file.text()));
+        } catch (error) {
+            alert(`Could not load ${file.name}:\n${error.message}`);
+            return;
         }
-    }
-
-    setupEventListeners() {
-        // Mouse events
-        this.canvas.addEventListener('mousedown', this.onMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.onMouseMove.bind(this));
-        this.canvas.addEventListener('mouseup', this.onMouseUp.bind(this));
-        this.canvas.addEventListener('wheel', this.onWheel.bind(this));
-
-        // Prevent context menu
-        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
-
-        // Window resize
-        window.addEventListener('resize', this.onWindowResize.bind(this));
-
-        // Control buttons
-        document.getElementById('reset-btn').addEventListener('click', this.resetVectors.bind(this));
-        document.getElementById('toggle-grid').addEventListener('click', this.toggleGrid.bind(this));
-        document.getElementById('toggle-unit-circle').addEventListener('click', this.toggleUnitCircle.bind(this));
-
-        // Color circle click handlers
-        const colorCircles = document.querySelectorAll('.vector-color[data-vector-type]');
-        colorCircles.forEach(circle => {
-            circle.addEventListener('click', (e) => {
-                const vectorType = e.target.getAttribute('data-vector-type');
-                this.toggleVisibility(e.target, vectorType);
-            });
-        });
 
-        // Normalize button handlers
-        document.getElementById('normalize-a').addEventListener('click', () => this.normalizeVector('a'));
-        document.getElementById('normalize-b').addEventListener('click', () => this.normalizeVector('b'));
-        document.getElementById('normalize-c').addEventListener('click', () => this.normalizeVector('c'));
+        this.presets.push(...presets);
+        this.savePresets();
+    }
 
-        // Toggle norm button handlers
-        document.getElementById('toggle-norm-prodABC-btn').addEventListener('click', () => this.toggleIndividualNormDisplay('prodABC'));
-        document.getElementById('toggle-norm-prodCAB-btn').addEventListener('click', () => this.toggleIndividualNormDisplay('prodCAB'));
-        document.getElementById('toggle-norm-a-btn').addEventListener('click', () => this.toggleIndividualNormDisplay('a'));
-        document.getElementById('toggle-norm-b-btn').addEventListener('click', () => this.toggleIndividualNormDisplay('b'));
-        document.getElementById('toggle-norm-c-btn').addEventListener('click', () => this.toggleIndividualNormDisplay('c'));
+    /**
+     * Validates the example catalog and builds the state of each example.
+     * @param {object} json
+     * @returns {{id: string, title: string, description?: string, label?: string, section: string,
+     *   camera?: string, expression?: string, state: VectorVisualizerState}[]}
+     * @throws {StateValidationError}
+     */
+    parseExampleCatalog(json) {
+        if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+            throw new StateValidationError('The catalog must be a JSON object');
+        }
+        if (json.version !== EXAMPLE_CATALOG_VERSION) {
+            throw new StateValidationError(`must be ${EXAMPLE_CATALOG_VERSION}`, 'version');
+        }
+        if (!Array.isArray(json.examples)) {
+            throw new StateValidationError('must be a list', 'examples');
+        }
 
-        // Undo/Redo keyboard shortcuts
-        window.addEventListener('keydown', (e) => {
-            if (e.ctrlKey && !e.shiftKey && e.key.toLowerCase() === 'z') {
-                e.preventDefault();
-                this.undo();
-            } else if (e.ctrlKey && !e.shiftKey && e.key.toLowerCase() === 'y') {
-                e.preventDefault();
-                this.redo();
+        const ids = new Set();
+        return json.examples.map((example, i) => {
+            const path = `examples[${i}]`;
+            if (typeof example?.id !== 'string' || !EXAMPLE_ID_REGEX.test(example.id)) {
+                throw new StateValidationError('must be lowercase words joined by hyphens', `${path}.id`);
             }
+            if (ids.has(example.id)) {
+                throw new StateValidationError(`'${example.id}' is used more than once`, `${path}.id`);
+            }
+            ids.add(example.id);
+            for (const key of ['title', 'section']) {
+                if (typeof example[key] !== 'string' || example[key].trim() === '') {
+                    throw new StateValidationError('must be a non-empty string', `${path}.${key}`);
+                }
+            }
+            for (const key of ['description', 'label']) {
+                if (example[key] !== undefined && typeof example[key] !== 'string') {
+                    throw new StateValidationError('must be a string', `${path}.${key}`);
+                }
+            }
+            return {
+                id: example.id,
+                title: example.title,
+                description: example.description,
+                label: example.label,
+                section: example.section,
+                ...this.parseCatalogScene(example, path)
+            };
         });
+    }
 
-        // Example buttons
-        document.getElementById('example-dot-basis-parallel').addEventListener('click', () => {
-            this.loadExample(DOT_PARALLEL_BASIS_EXAMPLE);
-        });
-
-        document.getElementById('example-dot-basis-orthogonal').addEventListener('click', () => {
-            this.loadExample(DOT_ORTHOGONAL_BASIS_EXAMPLE);
-        });
+    /**
+     * Validates the camera preset and the state of a catalog entry and builds the state.
+     * The state JSON has no version, and constructions missing from its visibility are hidden.
+     * @param {object} entry
+     * @param {string} path of the entry, for errors
+     * @returns {{camera?: string, expression?: string, state: VectorVisualizerState}}
+     * @throws {StateValidationError}
+     */
+    parseCatalogScene(entry, path) {
+        if (entry.camera !== undefined && !Object.prototype.hasOwnProperty.call(CAMERA_PRESETS, entry.camera)) {
+            throw new StateValidationError(
+                `must be one of ${Object.keys(CAMERA_PRESETS).join(', ')}`, `${path}.camera`);
+        }
 
-        document.getElementById('example-orthogonal').addEventListener('click', () => {
-            this.loadExample(DOT_ORTHOGONAL_EXAMPLE);
-        });
+        let state;
+        try {
+            state = this.parseStateJSON({ version: STATE_SCHEMA_VERSION, ...entry.state });
+        } catch (error) {
+            if (!(error instanceof StateValidationError)) throw error;
+            throw new StateValidationError(error.message, `${path}.state`);
+        }
 
-        document.getElementById('example-codirectional').addEventListener('click', () => {
-            this.loadExample((DOT_CODIRECTIONAL_EXAMPLE));
-        });
+        const vectors = new VectorState(state.vectors.map(v =>
+            new NamedVector(v.name, new Vector2(v.x, v.y), v.color ?? null)
+        ));
+        const visibility = Object.fromEntries(Object.keys(new VectorVisualizerState().visibility).map(key =>
+            [key, state.visibility[key] ?? false]
+        ));
 
-        document.getElementById('example-self').addEventListener('click', () => {
-            this.loadExample(DOT_SELF_EXAMPLE);
-        });
+        return { camera: entry.camera, expression: state.expression, state: new VectorVisualizerState(vectors, visibility) };
+    }
 
-        document.getElementById('example-sign-switch').addEventListener('click', () => {
-            this.loadExample(DOT_SIGN_SWITCH_EXAMPLE);
-        });
+    // Rejects with the HTTP status if the file can not be fetched
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return response.json();
+    }
 
-        document.getElementById('example-wedge-basis-parallel').addEventListener('click', () => {
-            this.loadExample(WEDGE_PARALLEL_BASIS_EXAMPLE);
-        });
+    // Fetches the examples and fills in their buttons, without the catalog the buttons stay disabled
+    async loadExampleCatalog() {
+        let examples;
+        try {
+            examples = this.parseExampleCatalog(await this.fetchJSON(EXAMPLE_CATALOG_URL));
+        } catch (error) {
+            console.warn('Could not load the examples:', error.message);
+            return;
+        }
 
-        document.getElementById('example-wedge-basis-orthogonal').addEventListener('click', () => {
-            this.loadExample(WEDGE_ORTHOGONAL_BASIS_EXAMPLE);
-        });
+        this.examples = new Map(examples.map(example => [example.id, example]));
+        this.renderExampleButtons();
+        this.renderExamples();
+    }
 
-        document.getElementById('example-wedge-negative-basis-orthogonal').addEventListener('click', () => {
-            this.loadExample(WEDGE_NEGATIVE_ORTHOGONAL_BASIS_EXAMPLE);
-        });
+    // Labels and enables the buttons in the blog that name an example in data-example
+    renderExampleButtons() {
+        const buttons = document.querySelectorAll('.blog-content [data-example]');
+        for (const button of buttons) {
+            const example = this.examples.get(button.getAttribute('data-example'));
+            if (!example) {
+                console.warn(`The example ${button.getAttribute('data-example')} is not in the catalog`);
+                continue;
+            }
 
-        document.getElementById('example-geo-product').addEventListener('click', () => {
-            this.loadExample(GEOMETRIC_PRODUCT_EXAMPLE);
-        });
+            // Labels come from the catalog of the site and may hold TeX
+            button.innerHTML = `<i class="fa-solid fa-play"></i> ${example.label ?? 'See example'}`;
+            button.title = example.description ?? example.title;
+            button.disabled = false;
+        }
 
-        // Return button
-        document.getElementById('return-button').addEventListener('click', () => {
-            this.returnToPreviousPosition();
-        });
+        if (window.MathJax?.typesetPromise) {
+            window.MathJax.typesetPromise([...buttons]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+            });
+        }
+    }
 
-        // Scroll tracking to hide return button when user manually scrolls
-        let scrollTimeout;
-        window.addEventListener('scroll', () => {
-            // Don't hide button if we're programmatically scrolling to canvas
-            if (this.isScrollingToCanvas) return;
+    // Lists the examples in the sidebar under the heading of their blog section
+    renderExamples() {
+        const list = document.getElementById('example-list');
+        list.innerHTML = '';
+
+        let section = null;
+        for (const example of this.examples.values()) {
+            if (example.section !== section) {
+                section = example.section;
+                const heading = document.createElement('li');
+                heading.className = 'preset-group';
+                heading.textContent = document.getElementById(section)?.querySelector('h3')?.textContent ?? section;
+                list.appendChild(heading);
+            }
 
-            // Clear previous timeout
-            clearTimeout(scrollTimeout);
+            const item = document.createElement('li');
+            item.className = 'preset-item';
+            item.innerHTML = `<button class="preset-load" data-example="${example.id}"></button>`;
+            item.firstChild.textContent = example.title;
+            item.firstChild.title = example.description ?? example.title;
+            list.appendChild(item);
+        }
+    }
 
-            // Set timeout to hide button after user stops scrolling
-            scrollTimeout = setTimeout(() => {
-                const currentScroll = window.pageYOffset || document.documentElement.scrollTop;
+    /**
+     * Replaces the scene with that of a catalog entry returned by parseCatalogScene.
+     * @param {{camera?: string, expression?: string, state: VectorVisualizerState}} entry
+     * @param {boolean} animate
+     */
+    applyCatalogScene(entry, animate) {
+        if (entry.expression !== undefined) {
+            document.getElementById('expression-input').value = entry.expression;
+            this.setExpression(entry.expression);
+        }
+        // Work on a copy, so that editing the loaded scene does not alter the catalog
+        this.setState(entry.state.clone(), animate);
+        if (entry.camera) {
+            this.setCameraPreset(entry.camera);
+        }
+    }
 
-                // Hide return button if user has scrolled back close to original position
-                const scrollDifferenceFromOriginal = this.previousScrollPosition - currentScroll;
-                if (scrollDifferenceFromOriginal < 500)
-                    this.hideReturnButton();
-            }, 100);
-        });
+    /**
+     * Validates the exercise catalog and parses the goals of each exercise.
+     * A goal compares the value of an expression in the vectors either with another expression
+     * (equals) or, for scalars, with a bound (atLeast, atMost).
+     * @param {object} json
+     * @returns {{id: string, title: string, prompt: string, hints: string[], locked: Set<string>,
+     *   goals: {expression: Expression, equals?: Expression, atLeast?: number, atMost?: number,
+     *   tolerance: number, message?: string}[], camera?: string, expression?: string,
+     *   state: VectorVisualizerState}[]}
+     * @throws {StateValidationError}
+     */
+    parseExerciseCatalog(json) {
+        const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
 
-        this.setupDraggableNumbers();
-    }
+        if (!isObject(json)) {
+            throw new StateValidationError('The catalog must be a JSON object');
+        }
+        if (json.version !== EXERCISE_CATALOG_VERSION) {
+            throw new StateValidationError(`must be ${EXERCISE_CATALOG_VERSION}`, 'version');
+        }
+        if (!Array.isArray(json.exercises)) {
+            throw new StateValidationError('must be a list', 'exercises');
+        }
 
-    setupDraggableNumbers() {
-        this.numberDragState = {
-            isDragging: false,
-            element: null,
-            vector: null,
-            component: null,
-            startY: 0,
-            startValue: 0
+        const parseExpression = (source, path) => {
+            if (typeof source !== 'string') throw new StateValidationError('must be an expression', path);
+            try {
+                return new Expression(source);
+            } catch (error) {
+                if (!(error instanceof ExpressionError)) throw error;
+                throw new StateValidationError(error.message, path);
+            }
         };
 
-        const draggableNumbers = document.querySelectorAll('.draggable-number');
+        const ids = new Set();
+        return json.exercises.map((exercise, i) => {
+            const path = `exercises[${i}]`;
+            if (!isObject(exercise)) throw new StateValidationError('must be an object', path);
+            if (typeof exercise.id !== 'string' || !EXAMPLE_ID_REGEX.test(exercise.id)) {
+                throw new StateValidationError('must be lowercase words joined by hyphens', `${path}.id`);
+            }
+            if (ids.has(exercise.id)) {
+                throw new StateValidationError(`'${exercise.id}' is used more than once`, `${path}.id`);
+            }
+            ids.add(exercise.id);
+            for (const key of ['title', 'prompt']) {
+                if (typeof exercise[key] !== 'string' || exercise[key].trim() === '') {
+                    throw new StateValidationError('must be a non-empty string', `${path}.${key}`);
+                }
+            }
 
-        draggableNumbers.forEach(element => {
-            element.addEventListener('mousedown', this.onNumberMouseDown.bind(this));
-        });
+            const hints = exercise.hints ?? [];
+            if (!Array.isArray(hints) || hints.some(hint => typeof hint !== 'string')) {
+                throw new StateValidationError('must be a list of strings', `${path}.hints`);
+            }
 
-        document.addEventListener('mousemove', this.onNumberMouseMove.bind(this));
-        document.addEventListener('mouseup', this.onNumberMouseUp.bind(this));
-    }
+            const scene = this.parseCatalogScene(exercise, path);
 
-    onNumberMouseDown(event) {
-        event.preventDefault();
-        event.stopPropagation();
+            const locked = exercise.locked ?? [];
+            if (!Array.isArray(locked)) throw new StateValidationError('must be a list of vector names', `${path}.locked`);
+            for (const [j, name] of locked.entries()) {
+                if (!scene.state.vector.has(name)) {
+                    throw new StateValidationError('must name a vector of the state', `${path}.locked[${j}]`);
+                }
+            }
 
-        const element = event.target;
-        const vector = element.getAttribute('data-vector');
-        const component = element.getAttribute('data-component');
+            if (!Array.isArray(exercise.goals) || exercise.goals.length === 0) {
+                throw new StateValidationError('must be a non-empty list', `${path}.goals`);
+            }
+            const goals = exercise.goals.map((goal, j) => {
+                const goalPath = `${path}.goals[${j}]`;
+                if (!isObject(goal)) throw new StateValidationError('must be an object', goalPath);
 
-        this.saveState();
+                const comparisons = ['equals', 'atLeast', 'atMost'].filter(key => goal[key] !== undefined);
+                if (comparisons.length !== 1) {
+                    throw new StateValidationError('must have exactly one of equals, atLeast and atMost', goalPath);
+                }
+                for (const key of ['atLeast', 'atMost']) {
+                    if (goal[key] !== undefined && !Number.isFinite(goal[key])) {
+                        throw new StateValidationError('must be a finite number', `${goalPath}.${key}`);
+                    }
+                }
+                if (goal.tolerance !== undefined && !(Number.isFinite(goal.tolerance) && goal.tolerance >= 0)) {
+                    throw new StateValidationError('must be a non-negative number', `${goalPath}.tolerance`);
+                }
+                if (goal.message !== undefined && typeof goal.message !== 'string') {
+                    throw new StateValidationError('must be a string', `${goalPath}.message`);
+                }
 
-        this.numberDragState = {
-            isDragging: true,
-            element: element,
-            vector: vector,
-            component: component,
-            startY: event.clientY,
-            startValue: this.getVectorComponentValue(vector, component)
-        };
+                return {
+                    expression: parseExpression(goal.expression, `${goalPath}.expression`),
+                    equals: goal.equals === undefined ? undefined : parseExpression(goal.equals, `${goalPath}.equals`),
+                    atLeast: goal.atLeast,
+                    atMost: goal.atMost,
+                    tolerance: goal.tolerance ?? EXERCISE_TOLERANCE,
+                    message: goal.message
+                };
+            });
 
-        element.classList.add('dragging');
-        document.body.style.cursor = 'ns-resize';
+            return {
+                id: exercise.id,
+                title: exercise.title,
+                prompt: exercise.prompt,
+                hints,
+                locked: new Set(locked),
+                goals,
+                ...scene
+            };
+        });
     }
 
-    onNumberMouseMove(event) {
-        if (!this.numberDragState.isDragging) return;
+    async loadExerciseCatalog() {
+        try {
+            this.exercises = this.parseExerciseCatalog(await this.fetchJSON(EXERCISE_CATALOG_URL));
+        } catch (error) {
+            console.warn('Could not load the exercises:', error.message);
+            return;
+        }
 
-        event.preventDefault();
+        this.renderExercises();
+    }
 
-        const deltaY = this.numberDragState.startY - event.clientY;
-        const sensitivity = 0.01;
-        const newValue = this.numberDragState.startValue + (deltaY * sensitivity);
+    // Forgets progress that can not be read, the exercises can simply be solved again
+    loadExerciseProgress() {
+        const json = this.readStorage(EXERCISE_PROGRESS_STORAGE_KEY);
+        const isValid = typeof json === 'object' && json !== null && !Array.isArray(json) &&
+            Object.values(json).every(points => Number.isInteger(points) && points > 0);
 
-        this.updateVectorComponent(this.numberDragState.vector, this.numberDragState.component, newValue);
+        this.exerciseProgress = isValid ? json : {};
     }
 
-    onNumberMouseUp(event) {
-        if (!this.numberDragState.isDragging) return;
+    resetExerciseProgress() {
+        if (!window.confirm('Forget which exercises you solved?')) return;
 
-        this.numberDragState.element.classList.remove('dragging');
-        document.body.style.cursor = '';
-
-        this.numberDragState = {
-            isDragging: false,
-            element: null,
-            vector: null,
-            component: null,
-            startY: 0,
-            startValue: 0
-        };
+        this.exerciseProgress = {};
+        this.writeStorage(EXERCISE_PROGRESS_STORAGE_KEY, this.exerciseProgress);
+        this.renderExercises();
     }
 
-    getVectorComponentValue(vectorType, component) {
-        const vector = this.state.vector[vectorType.toUpperCase()];
-        return component === 'x' ? vector.x : vector.y;
+    renderExercises() {
+        const list = document.getElementById('exercise-list');
+        list.innerHTML = '';
+
+        let score = 0;
+        this.exercises.forEach((exercise, index) => {
+            const points = this.exerciseProgress[exercise.id] ?? 0;
+            score += points;
+
+            const item = document.createElement('li');
+            item.className = 'preset-item';
+            item.innerHTML = `
+                <button class="preset-load" data-exercise-index="${index}" title="Start this exercise"></button>
+                <span class="exercise-points${points > 0 ? ' solved' : ''}" title="${points > 0 ? 'Solved' : 'Not solved yet'}">
+                    ${points > 0 ? '<i class="fa-solid fa-check"></i>' : ''} ${points} / ${EXERCISE_POINTS}
+                </span>`;
+            item.firstElementChild.textContent = exercise.title;
+            list.appendChild(item);
+        });
+
+        document.getElementById('exercise-score').textContent =
+            `${score} / ${this.exercises.length * EXERCISE_POINTS}`;
     }
 
-    updateVectorComponent(vectorType, component, value) {
-        if (component === 'x') {
-            this.state.vector[vectorType.toUpperCase()].x = value;
-        } else if (component === 'y') {
-            this.state.vector[vectorType.toUpperCase()].y = value;
-        }
+    /**
+     * Opens an exercise over the canvas. Its goals are checked after every change of the vectors.
+     * @param {number} index into the exercises
+     */
+    startExercise(index) {
+        const exercise = this.exercises[index];
+        if (!exercise) return;
+
+        this.endWalkthrough();
+        this.saveState(`started the exercise ${exercise.title}`);
+        this.exercise = { exercise, index, hints: 0, solved: false };
+
+        // Without a transition, so that the vectors do not pass through a solution on the way
+        this.applyCatalogScene(exercise, false);
+        this.updateVectorLocks();
+
+        const prompt = document.getElementById('exercise-prompt');
+        prompt.innerHTML = exercise.prompt;
+        document.getElementById('exercise-hints').innerHTML = '';
+        document.getElementById('exercise-hint-btn').disabled = exercise.hints.length === 0;
+        document.getElementById('exercise-progress').textContent = `${index + 1} / ${this.exercises.length}`;
+        document.getElementById('exercise-next-btn').disabled = index === this.exercises.length - 1;
+        document.getElementById('exercise').classList.remove('hidden');
 
-        const vectorKey = vectorType.toUpperCase();
-        if (vectorKey === 'A') {
-            this.updateVector(this.vectorAMesh, this.state.vector.A);
-        } else if (vectorKey === 'B') {
-            this.updateVector(this.vectorBMesh, this.state.vector.B);
-            this.updateVector(this.vectorBRotMesh, this.state.vector.B.rotate());
-        } else if (vectorKey === 'C') {
-            this.updateVector(this.vectorCMesh, this.state.vector.C);
+        if (window.MathJax?.typesetPromise) {
+            window.MathJax.typesetPromise([prompt]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+            });
         }
 
-        // Update all related calculations and displays
-        this.updateVectors();
+        this.checkExercise();
+        this.scrollToCanvas();
     }
 
-    getMousePosition(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    // Puts the vectors back where the exercise started, hints and a solution are kept.
+    // Without a transition, like starting it, so that the vectors do not pass through a solution on the way
+    restartExercise() {
+        if (!this.exercise) return;
+
+        this.saveState('started over');
+        this.applyCatalogScene(this.exercise.exercise, false);
     }
 
-    onMouseDown(event) {
-        this.getMousePosition(event);
+    showExerciseHint() {
+        if (!this.exercise) return;
 
-        if (event.button === 0) { // Left mouse button
-            this.raycaster.setFromCamera(this.mouse, this.camera);
-            const intersects = this.raycaster.intersectObjects(this.scene.children, true);
+        const { hints } = this.exercise.exercise;
+        if (this.exercise.hints >= hints.length) return;
 
-            let vectorSelected = false;
-            for (let intersect of intersects) {
-                if (intersect.object.userData.draggable) {
-                    this.isDragging = true;
-                    this.dragTarget = intersect.object.userData.vectorType;
+        const item = document.createElement('li');
+        item.innerHTML = hints[this.exercise.hints++];
+        document.getElementById('exercise-hints').appendChild(item);
+        document.getElementById('exercise-hint-btn').disabled = this.exercise.hints === hints.length;
 
-                    this.saveState();
+        if (window.MathJax?.typesetPromise) {
+            window.MathJax.typesetPromise([item]).catch((err) => {
+                console.warn('MathJax rendering error:', err);
+            });
+        }
+    }
 
-                    this.canvas.style.cursor = 'grabbing';
-                    vectorSelected = true;
-                    break;
-                }
-            }
+    endExercise() {
+        if (!this.exercise) return;
 
-            if (!vectorSelected) {
-                this.isDraggingCanvas = true;
-                this.lastMousePosition.set(event.clientX, event.clientY);
-                this.canvas.style.cursor = 'grabbing';
-            }
-        }
+        this.exercise = null;
+        this.updateVectorLocks();
+        document.getElementById('exercise').classList.add('hidden');
     }
 
-    moveVector() {
-        // Use raycasting to find intersection with the XY plane (z = 0)
-        this.raycaster.setFromCamera(this.mouse, this.camera);
+    // Undo, loading a file or a link and the timeline can still move locked vectors, a solve then does not count
+    hasLockedVectorsInPlace() {
+        const { locked, state } = this.exercise.exercise;
+        return [...locked].every(name => state.vector.get(name).equals(this.state.vector.get(name)));
+    }
 
-        // Create a plane at z = 0 to intersect with
-        const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-        const intersectionPoint = new THREE.Vector3();
+    isVectorLocked(name) {
+        return this.exercise?.exercise.locked.has(name) ?? false;
+    }
 
-        if (this.raycaster.ray.intersectPlane(plane, intersectionPoint)) {
-            const worldX = intersectionPoint.x;
-            const worldY = intersectionPoint.y;
+    // Locked vectors can not be dragged, moved with the keyboard or edited in the sidebar
+    updateVectorLocks() {
+        for (const row of document.querySelectorAll('[data-vector-row]')) {
+            const name = row.getAttribute('data-vector-row');
+            const locked = this.isVectorLocked(name);
 
-            // Update the appropriate vector
-            if (this.dragTarget === 'a') {
-                this.state.vector.A = new Vector2(worldX, worldY);
-                this.updateVector(this.vectorAMesh, this.state.vector.A);
-            } else if (this.dragTarget === 'b') {
-                this.state.vector.B = new Vector2(worldX, worldY);
-                this.updateVector(this.vectorBMesh, this.state.vector.B);
-                this.updateVector(this.vectorBRotMesh, this.state.vector.B.rotate());
-            } else if (this.dragTarget === 'c') {
-                this.state.vector.C = new Vector2(worldX, worldY);
-                this.updateVector(this.vectorCMesh, this.state.vector.C);
+            row.classList.toggle('locked', locked);
+            for (const button of row.querySelectorAll('.btn-normalize:not([data-action="polar"])')) {
+                button.disabled = locked;
             }
+        }
 
-            this.updateVectors();
+        for (const [name, mesh] of this.vectorMeshes) {
+            mesh.userData.handle.disabled = this.isVectorLocked(name);
         }
     }
 
-    rotateCamera(event) {
-        const deltaX = event.clientX - this.lastMousePosition.x;
-        const deltaY = event.clientY - this.lastMousePosition.y;
+    /**
+     * Returns null if the goal holds for the vectors, otherwise feedback on what is off.
+     * @param {object} goal of an exercise returned by parseExerciseCatalog
+     * @param {Object<string, Vector2>} variables
+     * @returns {string|null}
+     */
+    checkExerciseGoal(goal, variables) {
+        const source = goal.expression.source;
 
-        const rotationSpeed = 0.005;
+        let value, target;
+        try {
+            value = goal.expression.evaluate(variables);
+            target = goal.equals?.evaluate(variables);
+        } catch (error) {
+            if (!(error instanceof ExpressionError)) throw error;
+            return goal.message ?? `${source}: ${error.message}`;
+        }
 
-        this.cameraRotationY -= deltaX * rotationSpeed; // left/right
-        this.cameraRotationX -= deltaY * rotationSpeed; // up/down
+        if (target) {
+            if (value.sub(target).norm() <= goal.tolerance) return null;
+            return goal.message ?? `${source} is ${formatMultivectorText(value)}, it should be ${formatMultivectorText(target)}`;
+        }
 
-        const maxVerticalAngle = Math.PI / 3;
-        this.cameraRotationX = Math.max(-maxVerticalAngle, Math.min(maxVerticalAngle, this.cameraRotationX));
+        if (!value.isScalar()) {
+            return goal.message ?? `${source} is ${formatMultivectorText(value)}, it should be a number`;
+        }
+        if (goal.atLeast !== undefined && value.s < goal.atLeast - goal.tolerance) {
+            return goal.message ?? `${source} is ${value.s.toFixed(2)}, it should be at least ${goal.atLeast}`;
+        }
+        if (goal.atMost !== undefined && value.s > goal.atMost + goal.tolerance) {
+            return goal.message ?? `${source} is ${value.s.toFixed(2)}, it should be at most ${goal.atMost}`;
+        }
+        return null;
+    }
 
-        this.cameraRotationY = this.cameraRotationY % (2 * Math.PI);
+    // Runs after every change of the vectors, the first time all goals hold the points are kept.
+    // Not on the frames of a transition, animated undo and redo only count once they arrive
+    checkExercise() {
+        if (!this.exercise || this.stateTransition) return;
+
+        const variables = this.getExpressionVariables();
+        const feedback = !this.hasLockedVectorsInPlace()
+            ? 'The locked vectors have moved, start over to put them back'
+            : this.exercise.exercise.goals
+                .map(goal => this.checkExerciseGoal(goal, variables))
+                .find(message => message !== null) ?? null;
+
+        if (feedback === null && !this.exercise.solved) {
+            this.exercise.solved = true;
+
+            const { id } = this.exercise.exercise;
+            const points = Math.max(1, EXERCISE_POINTS - this.exercise.hints);
+            this.exerciseProgress[id] = Math.max(this.exerciseProgress[id] ?? 0, points);
+            this.writeStorage(EXERCISE_PROGRESS_STORAGE_KEY, this.exerciseProgress);
+            this.renderExercises();
+        }
 
-        this.updateCameraPosition();
+        const text = feedback ?? `Solved! ${this.exerciseProgress[this.exercise.exercise.id]} of ${EXERCISE_POINTS} points`;
+        const element = document.getElementById('exercise-feedback');
+        element.classList.toggle('solved', feedback === null);
+        // Only on changes, so that screen readers do not repeat it while dragging
+        if (element.textContent !== text) {
+            element.textContent = text;
+        }
+    }
 
-        this.lastMousePosition.set(event.clientX, event.clientY);
+    scheduleAnnouncement() {
+        clearTimeout(this.announcementTimeout);
+        this.announcementTimeout = setTimeout(() => {
+            this.announcementTimeout = null;
+            this.announce();
+        }, this.ANNOUNCEMENT_DELAY);
     }
 
-    onMouseMove(event) {
-        this.getMousePosition(event);
+    // Refreshes the description of the canvas and reads out the values if they changed
+    announce() {
+        document.getElementById('scene-description').textContent = this.getSceneDescription();
 
-        if (this.isDragging && this.dragTarget) {
-            this.moveVector();
-        } else if (this.isDraggingCanvas) {
-            this.rotateCamera(event);
-        } else {
-            // Check if hovering over draggable objects
-            this.raycaster.setFromCamera(this.mouse, this.camera);
-            const intersects = this.raycaster.intersectObjects(this.scene.children, true);
+        const announcement = this.getValuesDescription();
+        if (announcement !== this.lastAnnouncement) {
+            this.lastAnnouncement = announcement;
+            document.getElementById('scene-announcer').textContent = announcement;
+        }
+    }
 
-            let isHovering = false;
-            for (let intersect of intersects) {
-                if (intersect.object.userData.draggable) {
-                    isHovering = true;
-                    break;
-                }
-            }
+    getValuesDescription() {
+        const { A, B, C } = this.state.vector;
+        const formatVector = (vector) => `(${vector.x.toFixed(2)}, ${vector.y.toFixed(2)})`;
+        const sentences = [];
 
-            this.canvas.style.cursor = isHovering ? 'grab' : 'default';
+        if (A && B) {
+            sentences.push(`a dot b is ${A.dot(B).toFixed(2)}.`);
+            sentences.push(`a wedge b is ${A.wedge(B).toFixed(2)} I.`);
         }
+        if (A && B && C) {
+            sentences.push(`abc is ${formatVector(geometricProduct(A, B, C).toVector())}.`);
+            sentences.push(`cab is ${formatVector(geometricProduct(C, A, B).toVector())}.`);
+        }
+        if (this.expressionResult) {
+            sentences.push(`${this.expression.source} is ${formatMultivectorText(this.expressionResult)}.`);
+        }
+
+        return sentences.join(' ');
     }
 
-    onMouseUp(event) {
-        if (event.button === 0) {
-            this.isDragging = false;
-            this.dragTarget = null;
-            this.isDraggingCanvas = false;
-            this.canvas.style.cursor = 'default';
+    // Text alternative for the canvas, listing the vectors, the shown constructions and the values
+    getSceneDescription() {
+        const sentences = [];
+
+        for (const { name, vector } of this.state.vector.vectors) {
+            const angle = Math.atan2(vector.y, vector.x) * 180 / Math.PI;
+            const hidden = this.state.visibility[name] ? '' : ', hidden';
+            sentences.push(`Vector ${name} is (${vector.x.toFixed(2)}, ${vector.y.toFixed(2)}), ` +
+                `${norm2(vector).toFixed(2)} long at ${angle.toFixed(0)}° from the x axis${hidden}.`);
+        }
+
+        const { A, B } = this.state.vector;
+        if (A && B && norm2(A) > 0.001 && norm2(B) > 0.001) {
+            const angle = this.getAngleBetween(A, B) * 180 / Math.PI;
+            sentences.push(`The angle from a to b is ${angle.toFixed(0)}°.`);
         }
+
+        const shown = Object.keys(CONSTRUCTION_DESCRIPTIONS).filter(key => this.getVisibilityObjects(key).some(object => object.visible));
+        if (shown.length > 0) {
+            sentences.push(`Also shown: ${shown.map(key => CONSTRUCTION_DESCRIPTIONS[key]).join(', ')}.`);
+        }
+
+        sentences.push(this.getValuesDescription());
+        return sentences.join(' ');
     }
 
-    onWheel(event) {
-        event.preventDefault();
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
 
-        this.cameraDistance = Math.max(this.MIN_DISTANCE, Math.min(this.MAX_DISTANCE, this.cameraDistance + event.deltaY * this.ZOOM_SENSITIVITY))
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
 
-        this.updateCameraPosition();
+        URL.revokeObjectURL(url);
     }
 
-    onWindowResize() {
-        this.updateCanvasSize();
+    exportStateFile() {
+        const json = JSON.stringify(this.getStateJSON(), null, 2);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), 'geoprodviz2d-scene.json');
     }
 
-    setVectorState(vectorState) {
-        this.state.vector = vectorState;
+    exportPNG() {
+        // Render once at a higher resolution, the canvas keeps its size on the page
+        const pixelRatio = this.renderer.getPixelRatio();
+        this.renderer.setPixelRatio(this.EXPORT_PIXEL_RATIO);
+        this.renderer.render(this.scene, this.camera);
+        this.canvas.toBlob((blob) => this.downloadBlob(blob, 'geoprodviz2d.png'), 'image/png');
 
-        this.updateVector(this.vectorAMesh, this.state.vector.A);
-        this.updateVector(this.vectorBMesh, this.state.vector.B);
-        this.updateVector(this.vectorCMesh, this.state.vector.C);
-        this.updateVector(this.vectorBRotMesh, this.state.vector.B.rotate());
-        this.updateVectors();
+        this.renderer.setPixelRatio(pixelRatio);
+        this.needsRender = true;
     }
 
-    setState(state) {
-        this.state = state;
+    exportSVG() {
+        this.downloadBlob(new Blob([this.createSceneSVG()], { type: 'image/svg+xml' }), 'geoprodviz2d.svg');
+    }
 
-        this.setVectorState(this.state.vector);
+    /**
+     * Draws the visible scene from the current camera as an SVG document in the style of the figures in assets/.
+     * @returns {string}
+     */
+    createSceneSVG() {
+        const container = document.querySelector('.canvas-container');
+        const width = container.clientWidth;
+        const height = container.clientHeight;
 
-        this.updateMeshVisibility();
+        this.scene.updateMatrixWorld();
+        this.camera.updateMatrixWorld();
 
-        // Reset color circle appearances
-        const colorCircles = document.querySelectorAll('.vector-color[data-vector-type]');
-        colorCircles.forEach(circle => {
-            const vectorType = circle.getAttribute('data-vector-type');
-            this.updateVisibility(circle, vectorType);
-        });
+        const elements = [
+            `<rect x="0" y="0" width="${width}" height="${height}" fill="${colorToHex(this.scene.background.getHex())}"/>`
+        ];
+
+        for (const object of this.getVisibleSceneObjects()) {
+            if (object === this.gridMesh) {
+                elements.push(...this.createGridSVG(object, width, height));
+            } else if (object === this.unitCircleMesh) {
+                elements.push(this.createUnitCircleSVG(width, height));
+            } else if (object === this.axesMesh) {
+                for (const axis of object.children) {
+                    if (!axis.visible) continue;
+                    elements.push(this.createLineSVG(axis, width, height, { strokeWidth: 2 }));
+                }
+            } else if (object.userData.vectorType === 'parallelogram') {
+                elements.push(...this.createParallelogramSVG(object, width, height));
+            } else if (object.userData.isLine) {
+                elements.push(this.createLineSVG(object.children[0], width, height, {
+                    strokeWidth: 2,
+                    dashed: object.userData.isDashed
+                }));
+            } else if (object.userData.isArc || object.userData.isDashed) {
+                elements.push(this.createLineSVG(object.children[0], width, height, {
+                    strokeWidth: 2,
+                    dashed: object.userData.isDashed
+                }));
+                elements.push(this.createArrowHeadSVG(object.children[1], width, height));
+            } else {
+                elements.push(this.createLineSVG(object.children[0], width, height, { strokeWidth: 4 }));
+                elements.push(this.createArrowHeadSVG(object.children[1], width, height));
+
+                // Only user vectors are labelled, constructions are identified by their color
+                if (object.parent === this.vectorsGroup) {
+                    elements.push(this.createLabelSVG(object, width, height));
+                }
+            }
+        }
+
+        const body = elements.filter(element => element).map(element => `    ${element}`).join('\n');
+        return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">\n${body}\n</svg>\n`;
     }
 
-    resetVectors() {
-        this.setState(new VectorVisualizerState());
+    // Top level objects of the scene in drawing order, with the user vectors taken out of their group
+    getVisibleSceneObjects() {
+        const isShown = (object) => {
+            for (let current = object; current; current = current.parent) {
+                if (!current.visible) return false;
+            }
+            return true;
+        };
 
-        // Reset camera
-        this.cameraDistance = this.DEFAULT_DISTANCE;
-        this.cameraRotationY = 0;
-        this.cameraRotationX = 0;
-        this.updateCameraPosition();
+        return this.getSceneObjects().filter(isShown);
     }
 
-    toggleGrid() {
-        this.gridMesh.visible = !this.gridMesh.visible;
-        this.needsRender = true;
-    }
+    // The objects of the scene, with the user vectors in place of their group
+    getSceneObjects() {
+        const objects = [];
+        for (const child of this.scene.children) {
+            objects.push(...(child === this.vectorsGroup ? child.children : [child]));
+        }
 
-    toggleUnitCircle() {
-        this.unitCircleMesh.visible = !this.unitCircleMesh.visible;
-        this.needsRender = true;
+        return objects;
     }
 
-    toggleVisibility(target, vectorType) {
-        // Toggle the visibility state
-        this.state.visibility[vectorType] = !this.state.visibility[vectorType];
-
-        // Update the visual elements
-        this.updateMeshVisibility();
+    // Projects a point in world coordinates to canvas pixels, null if it is behind the camera
+    projectToScreen(point, width, height) {
+        const view = point.clone().applyMatrix4(this.camera.matrixWorldInverse);
+        if (view.z > -this.camera.near) return null;
 
-        this.updateVisibility(target, vectorType);
+        const ndc = view.applyMatrix4(this.camera.projectionMatrix);
+        return { x: (ndc.x + 1) / 2 * width, y: (1 - ndc.y) / 2 * height };
     }
 
-    toggleIndividualNormDisplay(vectorType) {
-        const normDisplay = document.getElementById(`norm-${vectorType}-display`);
-        const toggleBtn = document.getElementById(`toggle-norm-${vectorType}-btn`);
-        const icon = toggleBtn.querySelector('i');
+    // Projects a segment in world coordinates to canvas pixels, cut off where it passes behind the camera
+    projectSegmentToScreen(start, end, width, height) {
+        const near = this.camera.near;
+        const a = start.clone().applyMatrix4(this.camera.matrixWorldInverse);
+        const b = end.clone().applyMatrix4(this.camera.matrixWorldInverse);
+
+        if (a.z > -near && b.z > -near) return null;
+        if (a.z > -near) {
+            a.lerp(b, (a.z + near) / (a.z - b.z));
+        } else if (b.z > -near) {
+            b.lerp(a, (b.z + near) / (b.z - a.z));
+        }
 
-        // Toggle the collapsed state
-        normDisplay.classList.toggle('collapsed');
-        toggleBtn.classList.toggle('collapsed');
+        return [a, b].map(point => {
+            const ndc = point.applyMatrix4(this.camera.projectionMatrix);
+            return { x: (ndc.x + 1) / 2 * width, y: (1 - ndc.y) / 2 * height };
+        });
+    }
 
-        // Update the icon
-        if (normDisplay.classList.contains('collapsed')) {
-            icon.className = 'fa-solid fa-chevron-right';
-        } else {
-            icon.className = 'fa-solid fa-chevron-down';
+    getSVGPoints(line) {
+        const positions = line.geometry.attributes.position;
+        const points = [];
+        for (let i = 0; i < positions.count; i++) {
+            points.push(new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(line.matrixWorld));
         }
+        return points;
     }
 
-    normalizeVector(vectorType) {
-        this.saveState();
-
-        let vector, mesh, otherMesh;
-
-        switch (vectorType) {
-            case 'a':
-                vector = this.state.vector.A.normalize();
-                this.state.vector.A = vector;
-                mesh = this.vectorAMesh;
-                break;
-            case 'b':
-                vector = this.state.vector.B.normalize();
-                this.state.vector.B = vector;
-                mesh = this.vectorBMesh;
-                otherMesh = this.vectorBRotMesh;
-                break;
-            case 'c':
-                vector = this.state.vector.C.normalize();
-                this.state.vector.C = vector;
-                mesh = this.vectorCMesh;
-                break;
-            default:
-                return;
+    createLineSVG(line, width, height, { strokeWidth, dashed = false }) {
+        const material = line.material;
+        const attributes = [
+            'fill="none"',
+            `stroke="${colorToHex(material.color.getHex())}"`,
+            `stroke-width="${strokeWidth}"`
+        ];
+        if (material.transparent) attributes.push(`stroke-opacity="${material.opacity}"`);
+        if (dashed) attributes.push('stroke-dasharray="4"');
+
+        const points = this.getSVGPoints(line);
+
+        // Straight lines are clipped, so that lines through the whole grid survive a rotated camera
+        if (points.length === 2) {
+            const segment = this.projectSegmentToScreen(points[0], points[1], width, height);
+            if (!segment) return null;
+            const [a, b] = segment;
+            // Lines seen end on, like the z axis from above, would only leave a dot
+            if (Math.hypot(b.x - a.x, b.y - a.y) < 0.5) return null;
+            return `<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}" ${attributes.join(' ')}/>`;
         }
 
-        // Update the vector mesh
-        if (mesh) {
-            this.updateVector(mesh, vector);
-        }
+        const projected = points.map(point => this.projectToScreen(point, width, height));
+        if (projected.some(point => point === null)) return null;
+
+        const coordinates = projected.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ');
+        return `<polyline points="${coordinates}" ${attributes.join(' ')}/>`;
+    }
+
+    createArrowHeadSVG(head, width, height) {
+        if (!head.visible) return null;
+
+        // Outline of the cone seen from the side, its tip points along the local y axis
+        const { radius, height: coneHeight } = head.geometry.parameters;
+        const corners = [
+            new THREE.Vector3(0, coneHeight / 2, 0),
+            new THREE.Vector3(-radius, -coneHeight / 2, 0),
+            new THREE.Vector3(radius, -coneHeight / 2, 0)
+        ].map(corner => this.projectToScreen(corner.applyMatrix4(head.matrixWorld), width, height));
+        if (corners.some(corner => corner === null)) return null;
+
+        const material = head.material;
+        const opacity = material.transparent ? ` fill-opacity="${material.opacity}"` : '';
+        const points = corners.map(corner => `${corner.x.toFixed(1)},${corner.y.toFixed(1)}`).join(' ');
+        return `<polygon points="${points}" fill="${colorToHex(material.color.getHex())}"${opacity}/>`;
+    }
 
-        // Update rotated vector if it's vector B
-        if (vectorType === 'b' && otherMesh) {
-            this.updateVector(otherMesh, this.state.vector.B.rotate());
+    // The area and the arrow of its orientation
+    createParallelogramSVG(group, width, height) {
+        const [fill, outline, circulation] = group.children;
+
+        const corners = this.getParallelogramCorners(group).map(point => this.projectToScreen(point, width, height));
+        if (corners.some(corner => corner === null)) return [];
+
+        const points = corners.map(corner => `${corner.x.toFixed(1)},${corner.y.toFixed(1)}`).join(' ');
+        const elements = [
+            `<polygon points="${points}" fill="${colorToHex(fill.material.color.getHex())}" fill-opacity="${fill.material.opacity}" ` +
+            `stroke="${colorToHex(outline.material.color.getHex())}" stroke-opacity="${outline.material.opacity}" stroke-width="2"/>`
+        ];
+        if (circulation.visible) {
+            elements.push(this.createLineSVG(circulation.children[0], width, height, { strokeWidth: 2 }));
+            elements.push(this.createArrowHeadSVG(circulation.children[1], width, height));
         }
+        return elements;
+    }
 
-        // Update all related calculations and displays
-        this.updateVectors();
+    // Corners of the outline in world space, the buffer holds room for more
+    getParallelogramCorners(group) {
+        return this.getSVGPoints(group.children[1]).slice(0, group.userData.cornerCount);
     }
 
-    saveState() {
-        if (this.lastSavedState?.equals(this.state.vector))
-            return;
+    createGridSVG(grid, width, height) {
+        const points = this.getSVGPoints(grid);
+        const colors = grid.geometry.attributes.color;
+        const elements = [];
 
-        const currentState = this.state.vector.clone();
+        // The grid is made of separate segments, each with its own color
+        for (let i = 0; i < points.length; i += 2) {
+            const segment = this.projectSegmentToScreen(points[i], points[i + 1], width, height);
+            if (!segment) continue;
 
-        this.undoHistory.push(currentState);
-        this.redoHistory = [];
-        this.lastSavedState = currentState;
+            const [a, b] = segment;
+            const color = new THREE.Color().fromBufferAttribute(colors, i);
+            elements.push(`<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}" stroke="${colorToHex(color.getHex())}" stroke-width="1"/>`);
+        }
 
-        if (this.undoHistory.length > this.maxHistorySize) {
-            this.undoHistory.shift();
+        return elements;
+    }
+
+    createUnitCircleSVG(width, height) {
+        const segments = 64;
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const angle = 2 * Math.PI * i / segments;
+            const point = this.projectToScreen(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0), width, height);
+            if (!point) return null;
+            points.push(`${point.x.toFixed(1)},${point.y.toFixed(1)}`);
         }
+
+        const color = colorToHex(this.unitCircleMesh.material.color.getHex());
+        return `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`;
     }
 
-    undo() {
-        if (this.undoHistory.length <= 0)
-            return;
+    createLabelSVG(vectorMesh, width, height) {
+        const [start, end] = this.getSVGPoints(vectorMesh.children[0]);
+        const tip = this.projectToScreen(end, width, height);
+        const origin = this.projectToScreen(start, width, height);
+        if (!tip || !origin) return null;
 
-        this.redoHistory.push(this.state.vector.clone());
+        // Place the label just beyond the tip of the arrow
+        const length = Math.hypot(tip.x - origin.x, tip.y - origin.y) || 1;
+        const x = tip.x + 16 * (tip.x - origin.x) / length;
+        const y = tip.y + 16 * (tip.y - origin.y) / length + 6;
 
-        const previousState = this.undoHistory.pop();
-        this.setVectorState(previousState);
-        this.lastSavedState = this.undoHistory.length > 0 ? this.undoHistory[this.undoHistory.length - 1] : null;
+        const color = colorToHex(vectorMesh.userData.color);
+        const name = vectorMesh.userData.labelText;
+        return `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" font-size="18" fill="${color}" font-family="Arial" text-anchor="middle">${name}</text>`;
     }
 
-    redo() {
-        if (this.redoHistory.length <= 0)
+    async importStateFile(file) {
+        let json;
+        try {
+            json = this.parseStateJSON(JSON.parse(await file.text()));
+        } catch (error) {
+            alert(`Could not load ${file.name}:\n${error.message}`);
             return;
+        }
 
-        this.lastSavedState = this.state.vector.clone();
-        this.undoHistory.push(this.lastSavedState);
-
-        const nextState = this.redoHistory.pop();
-        this.setVectorState(nextState);
+        this.saveState(`loaded ${file.name}`);
+        this.applyStateJSON(json);
     }
 
-    loadExample(state) {
-        this.saveState();
-        this.setState(state);
+    /**
+     * Copies text and briefly shows a check mark on the button that triggered it.
+     * @param {string} text
+     * @param {HTMLElement} button Button with a single icon
+     * @param {string} promptMessage Shown with the text if the clipboard is not accessible
+     */
+    async copyToClipboard(text, button, promptMessage) {
+        const icon = button.querySelector('i');
+        const iconClass = icon.className;
 
-        this.scrollToCanvas();
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            // Clipboard access can be denied, let the user copy the text by hand
+            window.prompt(promptMessage, text);
+            return;
+        }
+
+        icon.className = 'fa-solid fa-check';
+        setTimeout(() => {
+            icon.className = iconClass;
+        }, 1500);
     }
 
-    scrollToCanvas() {
-        // Store current scroll position before scrolling
-        this.previousScrollPosition = window.pageYOffset || document.documentElement.scrollTop;
+    copyPermalink() {
+        this.copyToClipboard(this.getPermalink(), document.getElementById('copy-link-btn'), 'Copy this link:');
+    }
 
-        const canvas = document.getElementById('threejs-canvas');
-        if (canvas) {
-            this.isScrollingToCanvas = true;
-            canvas.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    copyTikZ(includeEquations) {
+        const button = document.getElementById(includeEquations ? 'copy-tikz-equations-btn' : 'copy-tikz-btn');
+        this.copyToClipboard(this.createSceneTikZ(includeEquations), button, 'Copy this TikZ code:');
+    }
 
-            // Show return button after a delay to allow scroll to complete
-            setTimeout(() => {
-                this.showReturnButton();
-                this.isScrollingToCanvas = false;
-            }, 1000);
+    /**
+     * Draws the visible scene as a tikzpicture in world coordinates, seen from above.
+     * @param {boolean} includeEquations Append the equations shown in the info panel
+     * @returns {string}
+     */
+    createSceneTikZ(includeEquations = false) {
+        const objects = this.getVisibleSceneObjects();
+        const format = (value) => Number(value.toFixed(2)).toString();
+        const point = (p) => `(${format(p.x)},${format(p.y)})`;
+
+        // TikZ needs named colors, they are named after their hex value
+        const colors = new Map();
+        const colorName = (color) => {
+            const hex = colorToHex(color).slice(1).toUpperCase();
+            colors.set(`c${hex}`, hex);
+            return `c${hex}`;
+        };
+
+        // The picture covers everything drawn from the origin, lines and the grid are cut off at its border
+        const bounds = { minX: -1, minY: -1, maxX: 1, maxY: 1 };
+        for (const object of objects) {
+            if (object === this.gridMesh || object === this.axesMesh || object === this.unitCircleMesh) continue;
+            if (object.userData.isLine) continue;
+            const points = object.userData.vectorType === 'parallelogram'
+                ? this.getParallelogramCorners(object)
+                : this.getSVGPoints(object.children[0]);
+            for (const p of points) {
+                bounds.minX = Math.min(bounds.minX, p.x);
+                bounds.minY = Math.min(bounds.minY, p.y);
+                bounds.maxX = Math.max(bounds.maxX, p.x);
+                bounds.maxY = Math.max(bounds.maxY, p.y);
+            }
         }
-    }
+        const min = { x: Math.floor(bounds.minX - 0.5), y: Math.floor(bounds.minY - 0.5) };
+        const max = { x: Math.ceil(bounds.maxX + 0.5), y: Math.ceil(bounds.maxY + 0.5) };
+
+        const lines = [
+            `\\clip ${point(min)} rectangle ${point(max)};`,
+            `\\fill[${colorName(this.scene.background.getHex())}] ${point(min)} rectangle ${point(max)};`
+        ];
+
+        const opacity = (material) => material.transparent ? `, opacity=${material.opacity}` : '';
+
+        for (const object of objects) {
+            if (object === this.gridMesh) {
+                const gridColor = new THREE.Color().fromBufferAttribute(object.geometry.attributes.color, 0);
+                lines.push(`\\draw[${colorName(gridColor.getHex())}, step=1, very thin] ${point(min)} grid ${point(max)};`);
+            } else if (object === this.unitCircleMesh) {
+                lines.push(`\\draw[${colorName(object.material.color.getHex())}, thick] (0,0) circle[radius=1];`);
+            } else if (object === this.axesMesh) {
+                // The z axis is seen end on from above
+                const [xAxis, yAxis] = object.children;
+                lines.push(`\\draw[${colorName(xAxis.material.color.getHex())}, thick] (${min.x},0) -- (${max.x},0);`);
+                lines.push(`\\draw[${colorName(yAxis.material.color.getHex())}, thick] (0,${min.y}) -- (0,${max.y});`);
+            } else if (object.userData.vectorType === 'parallelogram') {
+                const [fill, outline, circulation] = object.children;
+                const corners = this.getParallelogramCorners(object).map(point).join(' -- ');
+                lines.push(`\\filldraw[fill=${colorName(fill.material.color.getHex())}, fill opacity=${fill.material.opacity}, ` +
+                    `draw=${colorName(outline.material.color.getHex())}, draw opacity=${outline.material.opacity}] ${corners} -- cycle;`);
+
+                // The arrow of the orientation turns around the center of the area
+                if (circulation.visible) {
+                    const { radius, startAngle, sweepAngle } = circulation.userData;
+                    const start = {
+                        x: circulation.position.x + radius * Math.cos(startAngle),
+                        y: circulation.position.y + radius * Math.sin(startAngle)
+                    };
+                    lines.push(`\\draw[->, ${colorName(outline.material.color.getHex())}, thick${opacity(outline.material)}] ` +
+                        `${point(start)} arc[start angle=${format(startAngle * 180 / Math.PI)}, ` +
+                        `delta angle=${format(sweepAngle * 180 / Math.PI)}, radius=${format(radius)}];`);
+                }
+            } else if (object.userData.isArc) {
+                const { radius, startAngle, sweepAngle } = object.userData;
+                const [shaft, head] = object.children;
+                const start = { x: radius * Math.cos(startAngle), y: radius * Math.sin(startAngle) };
+                const toDegrees = (angle) => format(angle * 180 / Math.PI);
+                lines.push(`\\draw[${head.visible ? '->, ' : ''}${colorName(shaft.material.color.getHex())}, thick${opacity(shaft.material)}] ` +
+                    `${point(start)} arc[start angle=${toDegrees(startAngle)}, delta angle=${toDegrees(sweepAngle)}, radius=${format(radius)}];`);
+            } else {
+                const shaft = object.children[0];
+                const [start, end] = this.getSVGPoints(shaft);
+                if (start.distanceTo(end) < 0.001) continue;
+
+                const style = object.userData.isLine
+                    ? (object.userData.isDashed ? 'dashed' : '')
+                    : (object.userData.isDashed ? '->, dashed' : '->, very thick');
+                const options = [style, colorName(shaft.material.color.getHex())].filter(option => option).join(', ');
+
+                // Only user vectors are labelled, constructions are identified by their color
+                let label = '';
+                if (object.parent === this.vectorsGroup) {
+                    const anchor = Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI + 180;
+                    label = ` node[anchor=${format(anchor)}] {$${object.userData.labelLatex}$}`;
+                }
 
-    showReturnButton() {
-        if (this.returnButton) {
-            this.returnButton.classList.remove('hidden');
+                lines.push(`\\draw[${options}${opacity(shaft.material)}] ${point(start)} -- ${point(end)}${label};`);
+            }
         }
-    }
 
-    hideReturnButton() {
-        if (this.returnButton) {
-            this.returnButton.classList.add('hidden');
+        const definitions = [...colors].map(([name, hex]) => `\\definecolor{${name}}{HTML}{${hex}}`);
+
+        let tikz = [
+            ...definitions,
+            '\\begin{tikzpicture}[>=stealth]',
+            ...lines.map(line => `    ${line}`),
+            '\\end{tikzpicture}'
+        ].join('\n') + '\n';
+
+        if (includeEquations) {
+            const equations = this.getPanelEquationsLatex();
+            if (equations.length > 0) {
+                tikz += [
+                    '',
+                    '\\begin{align*}',
+                    equations.map(equation => `    ${equation.replace('=', '&=')}`).join(' \\\\\n'),
+                    '\\end{align*}'
+                ].join('\n') + '\n';
+            }
         }
+
+        return tikz;
     }
 
-    returnToPreviousPosition() {
-        if (this.previousScrollPosition !== undefined) {
-            window.scrollTo({
-                top: this.previousScrollPosition,
-                behavior: 'smooth'
-            });
+    /**
+     * Collects the equations of the visible rows in the info panel.
+     * @returns {string[]} One LaTeX equation per row
+     */
+    getPanelEquationsLatex() {
+        const visibility = this.state.visibility;
+        const equations = [];
+
+        for (const { name, vector } of this.state.vector.vectors) {
+            if (!visibility[name]) continue;
+            equations.push(`\\vec{${name}} = \\begin{pmatrix} ${vector.x.toFixed(2)} \\\\ ${vector.y.toFixed(2)} \\end{pmatrix}`);
+            equations.push(this.panelLatex.get(`vector-${name}-norm-display`));
+        }
 
-            this.hideReturnButton();
+        // Displays that only show a value get the name of the row in front
+        const expressionSource = document.getElementById('expression-input').value
+            .replace(/[_^~]/g, (character) => `\\${character}{}`);
+        const rows = [
+            ['brot', 'vector-brot-display', '\\vec{b}_\\perp = '],
+            ['dot', 'dot-a-b-display', ''],
+            ['wedge', 'wedge-a-b-display', ''],
+            ['rotor', 'rotor-a-b-display', ''],
+            ['sandwich', 'sandwich-display', 'R\\vec{c}\\tilde{R} = '],
+            ['sandwich', 'sandwich-angle-display', ''],
+            ['reflect', 'reflect-display', '\\vec{a}\\vec{c}\\vec{a}^{-1} = '],
+            ['reflect2', 'reflect2-display', '\\vec{b}\\vec{a}\\vec{c}\\vec{a}^{-1}\\vec{b}^{-1} = '],
+            ['reflect2', 'reflect2-angle-display', '\\vec{b}\\vec{a}\\vec{c}\\vec{a}^{-1}\\vec{b}^{-1} '],
+            ['project', 'project-display', '(\\vec{c}\\cdot\\vec{a})\\vec{a}^{-1} = '],
+            ['reject', 'reject-display', '(\\vec{c}\\wedge\\vec{a})\\vec{a}^{-1} = '],
+            ['prodABC', 'prodABC-display', '\\vec{a}\\vec{b}\\vec{c} = '],
+            ['prodABC', 'prodABC-norm-display', ''],
+            ['prodCAB', 'prodCAB-display', '\\vec{c}\\vec{a}\\vec{b} = '],
+            ['prodCAB', 'prodCAB-norm-display', ''],
+            ['expression', 'expression-display', `\\texttt{${expressionSource}} `]
+        ];
+
+        for (const [visibilityKey, elementId, prefix] of rows) {
+            const latex = this.panelLatex.get(elementId);
+            if (visibility[visibilityKey] && latex) {
+                equations.push(prefix + latex);
+            }
         }
+
+        return equations.filter(equation => equation);
     }
 
-    validateStateJSON(json) {
-        try {
-            // Check for required structure
-            if (!json.vector || !json.visibility) return false;
+    animate(time = performance.now()) {
+        requestAnimationFrame(this.animate.bind(this));
 
-            // Check vector structure
-            const vector = json.vector;
-            if (!vector.A || !vector.B || !vector.C) return false;
+        if (this.sandwichAnimationStart !== null) {
+            this.updateSandwichAnimation(time);
+        }
 
-            // Check that each vector has x and y coordinates
-            if (typeof vector.A.x !== 'number' || typeof vector.A.y !== 'number') return false;
-            if (typeof vector.B.x !== 'number' || typeof vector.B.y !== 'number') return false;
-            if (typeof vector.C.x !== 'number' || typeof vector.C.y !== 'number') return false;
+        if (this.cameraAnimation !== null) {
+            this.updateCameraAnimation(time);
+        }
 
-            // Check visibility structure
-            const visibility = json.visibility;
-            const requiredKeys = ['a', 'b', 'c', 'brot', 'dot', 'wedge', 'prod'];
-            for (const key of requiredKeys) {
-                if (typeof visibility[key] !== 'boolean') return false;
-            }
+        if (this.stateTransition !== null) {
+            this.updateStateTransition(time);
+        }
 
-            return true;
-        } catch (error) {
-            console.error('Error validating JSON:', error);
-            return false;
+        if (this.timelinePlayback !== null) {
+            this.updateTimelinePlayback(time);
         }
-    }
 
-    animate() {
-        requestAnimationFrame(this.animate.bind(this));
+        this.updateChart(time);
 
         if (this.needsRender || this.isDragging) {
             this.renderer.render(this.scene, this.camera);
+            this.updateLabels();
+            this.updateVectorHandles();
             this.needsRender = false;
         }
     }
@@ -1539,212 +6655,47 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = VectorVisualizer;
 }
 
-const DOT_PARALLEL_BASIS_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(1, 0),
-        new Vector2(1, 0),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: true,
-    dot: true,
-    wedge: false,
-    prodABC: false,
-    prodCAB: false
-});
-
-const DOT_ORTHOGONAL_BASIS_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(1, 0),
-        new Vector2(0, 1),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: true,
-    dot: true,
-    wedge: false,
-    prodABC: false,
-    prodCAB: false
-});
-
-const DOT_ORTHOGONAL_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(2, 1),
-        new Vector2(-1, 2),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: true,
-    dot: true,
-    wedge: false,
-    prodABC: false,
-    prodCAB: false
-});
-
-const DOT_CODIRECTIONAL_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(2, 1),
-        new Vector2(-3, -1.5),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: true,
-    dot: true,
-    wedge: false,
-    prodABC: false,
-    prodCAB: false
-});
-
-const DOT_SELF_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(2, 0),
-        new Vector2(2, 0),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: true,
-    dot: true,
-    wedge: false,
-    prodABC: false,
-    prodCAB: false
-});
-
-const DOT_SIGN_SWITCH_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(2, -1),
-        new Vector2(1, 1),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: true,
-    dot: true,
-    wedge: false,
-    prodABC: false,
-    prodCAB: false
-});
-
-const WEDGE_PARALLEL_BASIS_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(1, 0),
-        new Vector2(1, 0),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: false,
-    dot: false,
-    wedge: true,
-    prodABC: false,
-    prodCAB: false
-});
-
-const WEDGE_ORTHOGONAL_BASIS_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(1, 0),
-        new Vector2(0, 1),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: false,
-    dot: false,
-    wedge: true,
-    prodABC: false,
-    prodCAB: false
-});
-
-const WEDGE_NEGATIVE_ORTHOGONAL_BASIS_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(0, 1),
-        new Vector2(1, 0),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: false,
-    dot: false,
-    wedge: true,
-    prodABC: false,
-    prodCAB: false
-});
-
-const WEDGE_ORTHOGONAL_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(2, 1),
-        new Vector2(-1, 2),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: false,
-    dot: false,
-    wedge: true,
-    prodABC: false,
-    prodCAB: false
-});
-
-const WEDGE_CODIRECTIONAL_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(2, 1),
-        new Vector2(-3, -1.5),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: false,
-    dot: false,
-    wedge: true,
-    prodABC: false,
-    prodCAB: false
-});
-
-const WEDGE_SELF_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(2, 0),
-        new Vector2(2, 0),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: false,
-    dot: false,
-    wedge: true,
-    prodABC: false,
-    prodCAB: false
-});
-
-const WEDGE_SIGN_SWITCH_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(2, -1),
-        new Vector2(1, 1),
-        new Vector2(0, 0)), {
-    a: true,
-    b: true,
-    c: false,
-    brot: false,
-    dot: false,
-    wedge: true,
-    prodABC: false,
-    prodCAB: false
-});
-
-const GEOMETRIC_PRODUCT_EXAMPLE = new VectorVisualizerState(
-    new VectorState(
-        new Vector2(5, 1).normalize(),
-        new Vector2(2, -1).normalize(),
-        new Vector2(1, 1)), {
-    a: true,
-    b: true,
-    c: true,
-    brot: false,
-    dot: false,
-    wedge: false,
-    prodABC: true,
-    prodCAB: true
-});
\ No newline at end of file
+// Builds abc and cab up one product at a time, for the geometric product section of the blog
+const GEOMETRIC_PRODUCT_WALKTHROUGH_VECTORS = VectorState.fromABC(
+    new Vector2(1, 0),
+    new Vector2(Math.cos(Math.PI / 3), Math.sin(Math.PI / 3)),
+    new Vector2(2, 1));
+
+const GEOMETRIC_PRODUCT_WALKTHROUGH = [
+    {
+        state: new VectorVisualizerState(GEOMETRIC_PRODUCT_WALKTHROUGH_VECTORS, { a: true, b: true }),
+        camera: 'top',
+        caption: 'Start with two unit vectors $\\vec{a}$ and $\\vec{b}$ at an angle of $\\theta = 60^\\circ$.',
+        highlight: ['a', 'b']
+    },
+    {
+        state: new VectorVisualizerState(GEOMETRIC_PRODUCT_WALKTHROUGH_VECTORS, { a: true, b: true, brot: true, dot: true }),
+        caption: 'The scalar part $\\vec{a}\\cdot\\vec{b} = \\|\\vec{a}\\|\\|\\vec{b}\\|\\cos\\theta$ is the area of the parallelogram of $\\vec{a}$ and $\\vec{b}_\\perp$, which is $\\vec{b}$ turned by $90^\\circ$.',
+        highlight: ['brot', 'dot']
+    },
+    {
+        state: new VectorVisualizerState(GEOMETRIC_PRODUCT_WALKTHROUGH_VECTORS, { a: true, b: true, brot: true, dot: true, wedge: true }),
+        caption: 'The bivector part $\\vec{a}\\wedge\\vec{b} = \\|\\vec{a}\\|\\|\\vec{b}\\|\\sin\\theta\\, I$ is the oriented area of the parallelogram of $\\vec{a}$ and $\\vec{b}$.',
+        highlight: ['wedge']
+    },
+    {
+        state: new VectorVisualizerState(GEOMETRIC_PRODUCT_WALKTHROUGH_VECTORS, { a: true, b: true, rotor: true }),
+        caption: 'Together they form $\\vec{a}\\vec{b} = \\vec{a}\\cdot\\vec{b} + \\vec{a}\\wedge\\vec{b} = \\|\\vec{a}\\|\\|\\vec{b}\\|\\, e^{\\theta I}$, a rotation by $\\theta$ and a scaling by $\\|\\vec{a}\\|\\|\\vec{b}\\|$.',
+        highlight: ['rotor']
+    },
+    {
+        state: new VectorVisualizerState(GEOMETRIC_PRODUCT_WALKTHROUGH_VECTORS, { a: true, b: true, c: true, rotor: true }),
+        caption: 'Now multiply $\\vec{a}\\vec{b}$ with a third vector $\\vec{c}$.',
+        highlight: ['c']
+    },
+    {
+        state: new VectorVisualizerState(GEOMETRIC_PRODUCT_WALKTHROUGH_VECTORS, { a: true, b: true, c: true, rotor: true, prodABC: true }),
+        caption: 'From the left, $\\vec{a}\\vec{b}\\vec{c} = (\\vec{a}\\cdot\\vec{b})\\vec{c} - \\langle\\vec{a}\\wedge\\vec{b}\\rangle\\vec{c}_\\perp$ turns $\\vec{c}$ clockwise by $\\theta$.',
+        highlight: ['c', 'prodABC']
+    },
+    {
+        state: new VectorVisualizerState(GEOMETRIC_PRODUCT_WALKTHROUGH_VECTORS, { a: true, b: true, c: true, rotor: true, prodABC: true, prodCAB: true }),
+        caption: 'From the right, $\\vec{c}\\vec{a}\\vec{b} = (\\vec{a}\\cdot\\vec{b})\\vec{c} + \\langle\\vec{a}\\wedge\\vec{b}\\rangle\\vec{c}_\\perp$ turns $\\vec{c}$ counterclockwise by $\\theta$. Since $\\vec{a}$ and $\\vec{b}$ are unit vectors, both products are as long as $\\vec{c}$.',
+        highlight: ['c', 'prodABC', 'prodCAB']
+    }
+];
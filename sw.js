@@ -3,12 +3,14 @@
  * Provides offline capabilities and performance optimization
  */
 
-const CACHE_NAME = 'geoprodviz2d-v1';
+const CACHE_NAME = 'geoprodviz2d-v3';
 const urlsToCache = [
   '/',
   '/index.html',
   '/styles/main.css',
   '/scripts/main.js',
+  '/data/examples.json',
+  '/data/exercises.json',
   '/assets/favicon.png',
   '/assets/a_b_theta.svg',
   '/assets/a_b_theta_decomposed.svg',